@@ -44,6 +44,31 @@ function addpoly(ev) {
     };
     window.qwc2.addLayerFeatures(layer, [feature]);
 }
+function addassets(ev) {
+    let layer = {
+        id: "myassetlayer",
+        role: window.qwc2.LayerRole.USERLAYER,
+        style: {
+            default: {circleRadius: 6, fillColor: [0, 160, 0, 1], strokeColor: [255, 255, 255, 1]},
+            rules: [
+                {property: "status", value: "defect", style: {fillColor: [255, 0, 0, 1]}},
+                {property: "load", min: 80, style: {circleRadius: 10}}
+            ]
+        },
+        cluster: {distance: 40, minScale: 10000},
+        onClick: function(event) { alert(event.cluster ? event.features.length + " assets" : "Asset " + event.feature.id); }
+    };
+    let features = [];
+    for (let i = 0; i < 50; ++i) {
+        features.push({
+            id: "asset" + i,
+            geometry: {type: 'Point', coordinates: [2682000 + (i % 10) * 250, 1247000 + Math.floor(i / 10) * 250]},
+            properties: {status: i % 7 === 0 ? "defect" : "ok", load: (i * 37) % 100},
+            crs: "EPSG:2056"
+        });
+    }
+    window.qwc2.addLayerFeatures(layer, features, true);
+}
 function removepoly(ev) {
     window.qwc2.removeLayerFeatures("myselectionlayer", ["mypoly"]);
 }
@@ -83,6 +108,34 @@ function drawbox(ev) {
         fillColor:  [255, 255, 255, 0.5]
     });
 }
+function whatshere(ev) {
+    window.qwc2.reverseGeocode().then(function(results) {
+        alert(results.length > 0 ? results[0].text.replace(/<[^>]*>/g, " ") : "Nothing found");
+    });
+}
+function searchaddress(ev) {
+    let text = document.getElementById("apisearchtext").value;
+    window.qwc2.search(text).then(function(results) {
+        if (results.length > 0) {
+            window.qwc2.selectSearchResult(results[0]);
+        } else {
+            alert("Nothing found");
+        }
+    });
+}
+function logevent(payload) {
+    console.log(payload);
+}
+function logevents(ev) {
+    let events = ["mapchanged", "themechanged", "layervisibilitychanged", "featuresidentified", "searchresultselected"];
+    events.forEach(function(event) {
+        if (ev.target.checked) {
+            window.qwc2.on(event, logevent);
+        } else {
+            window.qwc2.off(event, logevent);
+        }
+    });
+}
 
 function toggleapidemo(ev) {
     let apidemo = document.getElementById("apidemo");
@@ -106,6 +159,7 @@ window.onload = function() {
         <div>\
             <button onclick='addmarker(event)'>Add marker</button>\
             <button onclick='addpoly(event)'>Add poly</button>\
+            <button onclick='addassets(event)'>Add assets</button>\
         </div>\
         <div>\
             <button onclick='removemarker(event)'>Remove marker</button>\
@@ -115,6 +169,14 @@ window.onload = function() {
         <div>\
             <button onclick='pantohb(event)'>Pan to HB</button>\
             <button onclick='zoomtohb(event)'>Zoom to HB</button>\
+            <button onclick='whatshere(event)'>What's here?</button>\
+        </div>\
+        <div>\
+            <input id='apisearchtext' type='text' placeholder='Search...' />\
+            <button onclick='searchaddress(event)'>Search</button>\
+        </div>\
+        <div>\
+            <label><input type='checkbox' onchange='logevents(event)' /> Log events to console</label>\
         </div>\
         <div>\
             <button onclick='drawpoint(event)'>Draw point</button>\
@@ -0,0 +1,110 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Client for controlling a QWC2 viewer embedded in a cross-origin iframe
+ * through postMessage. Include this script in the embedding page, and add
+ * the origin of the embedding page to `postMessageAllowedOrigins` in the
+ * config.json of the viewer.
+ *
+ * Usage:
+ *
+ *   let viewer = new QWC2Client(document.getElementById("viewer"), "https://viewer.example.com");
+ *   viewer.call("panTo", [2683002, 1248093], "EPSG:2056");
+ *   viewer.call("search", "Bahnhofstrasse").then(function(results) { ... });
+ *   viewer.on("mapchanged", function(payload) { ... });
+ *
+ * `call` accepts the names of all `window.qwc2` functions, and returns a
+ * promise resolving to the return value, or rejected with the error message.
+ * Function arguments, i.e. the `drawScratch` callback or the `onClick` layer
+ * callback, are supported.
+ */
+(function() {
+    class QWC2Client {
+        /**
+         * iframe: The iframe element (or window) containing the viewer
+         * origin: The origin of the viewer, i.e. "https://viewer.example.com"
+         */
+        constructor(iframe, origin) {
+            this.target = iframe.contentWindow || iframe;
+            this.origin = origin;
+            this.requestCounter = 0;
+            this.pendingRequests = {};
+            this.callbacks = {};
+            this.listeners = {};
+            this.readyPromise = new Promise(resolve => {
+                this.resolveReady = resolve;
+            });
+            window.addEventListener("message", this.handleMessage.bind(this));
+            // Ask the viewer whether it is ready, in case it has already announced itself
+            this.target.postMessage({qwc2: "ping"}, this.origin);
+            if (iframe.addEventListener) {
+                iframe.addEventListener("load", () => this.target.postMessage({qwc2: "ping"}, this.origin));
+            }
+        }
+        /**
+         * Returns a promise which resolves once the viewer is ready.
+         */
+        ready() {
+            return this.readyPromise;
+        }
+        call(method, ...args) {
+            return this.request({qwc2: "call", method: method, args: this.encodeCallbacks(args)});
+        }
+        encodeCallbacks(value) {
+            if (typeof value === "function") {
+                const cbid = ++this.requestCounter;
+                this.callbacks[cbid] = value;
+                return {qwc2callback: cbid};
+            } else if (Array.isArray(value)) {
+                return value.map(entry => this.encodeCallbacks(entry));
+            } else if (value && typeof value === "object") {
+                return Object.keys(value).reduce((res, key) => ({...res, [key]: this.encodeCallbacks(value[key])}), {});
+            }
+            return value;
+        }
+        on(event, callback) {
+            this.listeners[event] = (this.listeners[event] || []).concat([callback]);
+            return this.listeners[event].length === 1 ? this.request({qwc2: "on", event: event}) : Promise.resolve(null);
+        }
+        off(event, callback) {
+            this.listeners[event] = (this.listeners[event] || []).filter(entry => entry !== callback);
+            return this.listeners[event].length === 0 ? this.request({qwc2: "off", event: event}) : Promise.resolve(null);
+        }
+        request(message) {
+            return this.readyPromise.then(() => new Promise((resolve, reject) => {
+                const id = ++this.requestCounter;
+                this.pendingRequests[id] = {resolve: resolve, reject: reject};
+                this.target.postMessage({...message, id: id}, this.origin);
+            }));
+        }
+        handleMessage(ev) {
+            const data = ev.data;
+            if (ev.source !== this.target || ev.origin !== this.origin || !data || !data.qwc2) {
+                return;
+            }
+            if (data.qwc2 === "ready") {
+                this.resolveReady();
+            } else if (data.qwc2 === "result" || data.qwc2 === "error") {
+                const request = this.pendingRequests[data.id];
+                delete this.pendingRequests[data.id];
+                if (request && data.qwc2 === "result") {
+                    request.resolve(data.result);
+                } else if (request) {
+                    request.reject(new Error(data.error));
+                }
+            } else if (data.qwc2 === "callback" && this.callbacks[data.callback]) {
+                this.callbacks[data.callback](...data.args);
+            } else if (data.qwc2 === "event") {
+                (this.listeners[data.event] || []).forEach(callback => callback(data.payload));
+            }
+        }
+    }
+
+    window.QWC2Client = QWC2Client;
+})();
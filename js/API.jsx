@@ -0,0 +1,364 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {addLayerFeatures, LayerRole, refreshLayer} from 'qwc2/actions/layers';
+import {zoomToExtent, zoomToPoint} from 'qwc2/actions/map';
+import {addSearchResults, setCurrentSearchResult, SearchResultType} from 'qwc2/actions/search';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import IdentifyUtils from 'qwc2/utils/IdentifyUtils';
+import MapUtils from 'qwc2/utils/MapUtils';
+import VectorLayerUtils from 'qwc2/utils/VectorLayerUtils';
+import APIEvents from './APIEvents';
+import EditConstraints from './EditConstraints';
+import PostMessageBridge from './PostMessageBridge';
+import ReverseGeocoding from './ReverseGeocoding';
+import StyledLayerManager from './StyledLayerManager';
+import SearchRunner from './SearchRunner';
+
+/**
+ * Adapts a provider registered through `window.qwc2.addSearchProvider`.
+ *
+ * Providers implementing `onSearch` are used as-is, otherwise the provider
+ * must implement `search(text, {lang, crs})`, returning a promise which
+ * resolves to a list of {id, text, label, x, y, crs, bbox} items.
+ */
+function runtimeSearchProvider(key, provider) {
+    if (provider.onSearch) {
+        return provider;
+    }
+    return {
+        label: provider.label || key,
+        onSearch: (text, requestId, searchOptions, dispatch) => {
+            Promise.resolve(provider.search(text, {lang: searchOptions.lang, crs: searchOptions.mapcrs})).then(items => {
+                const results = [{
+                    id: key,
+                    title: provider.label || key,
+                    items: (items || []).map(item => ({type: SearchResultType.PLACE, provider: key, ...item}))
+                }];
+                dispatch(addSearchResults({data: results, provider: key, reqId: requestId}, true));
+            }).catch(() => {
+                dispatch(addSearchResults({data: [], provider: key, reqId: requestId}, true));
+            });
+        }
+    };
+}
+
+function crsDefinition(crs) {
+    return {type: "name", properties: {name: "urn:ogc:def:crs:EPSG::" + crs.split(":")[1]}};
+}
+
+/**
+ * Extends the `window.qwc2` object populated by the API plugin with
+ * application specific functions.
+ */
+export default function AppAPI(APIPlugin, searchProviders, providerFactory, editingInterface) {
+    class AppAPIPlugin extends React.Component {
+        static propTypes = {
+            addLayerFeatures: PropTypes.func,
+            layers: PropTypes.array,
+            map: PropTypes.object,
+            refreshLayer: PropTypes.func,
+            setCurrentSearchResult: PropTypes.func,
+            theme: PropTypes.object,
+            zoomToExtent: PropTypes.func,
+            zoomToPoint: PropTypes.func
+        }
+        // key -> provider registered through addSearchProvider
+        runtimeProviders = {}
+        componentDidMount() {
+            // The API plugin has populated window.qwc2 in its own componentDidMount
+            window.qwc2.reverseGeocode = this.reverseGeocode;
+            window.qwc2.search = this.search;
+            window.qwc2.selectSearchResult = this.selectSearchResult;
+            window.qwc2.addSearchProvider = this.addSearchProvider;
+            window.qwc2.removeSearchProvider = this.removeSearchProvider;
+            window.qwc2.getEditableLayers = this.getEditableLayers;
+            window.qwc2.getFeature = this.getFeature;
+            window.qwc2.getFeaturesAt = this.getFeaturesAt;
+            window.qwc2.addFeature = this.addFeature;
+            window.qwc2.updateFeature = this.updateFeature;
+            window.qwc2.deleteFeature = this.deleteFeature;
+            window.qwc2.identify = this.identify;
+            window.qwc2.on = APIEvents.on;
+            window.qwc2.off = APIEvents.off;
+            PostMessageBridge.start(ConfigUtils.getConfigProp("postMessageAllowedOrigins"));
+        }
+        render() {
+            // Pass on the plugin configuration only
+            const apiProps = {...this.props};
+            Object.keys(AppAPIPlugin.propTypes).forEach(key => delete apiProps[key]);
+            // StyledLayerManager extends window.qwc2 once mounted after the API plugin
+            return (
+                <React.Fragment>
+                    <APIPlugin {...apiProps} />
+                    <StyledLayerManager />
+                </React.Fragment>
+            );
+        }
+        /**
+         * Looks up the places near a position.
+         *
+         * pos: The position [x, y]. Default: the current map center.
+         * crs: The CRS of pos. Default: the map CRS.
+         * providers: Optional, list of search provider keys to query. Default: all providers of the current theme which support reverse geocoding.
+         *
+         * Returns a promise resolving to a list of {id, text, x, y, crs, bbox, provider, providerLabel, distance} entries, sorted by distance.
+         */
+        reverseGeocode = (pos = null, crs = null, providers = null) => {
+            const providerDefs = ReverseGeocoding.themeProviders(this.props.theme.current, searchProviders, providerFactory, providers);
+            return ReverseGeocoding.lookup(providerDefs, pos || this.props.map.center, crs || this.props.map.projection);
+        }
+        /**
+         * Searches the specified text.
+         *
+         * text: The search text.
+         * providers: Optional, list of search provider keys to query. Default: all providers of the current theme and all providers registered with addSearchProvider.
+         * options: Optional {searchOptions, timeout}, see js/SearchRunner.js.
+         *
+         * Returns a promise resolving to a list of result items, see the format of search results in js/SearchProviders.js.
+         * Each item is augmented with its `provider`, `providerLabel` and `group` title.
+         */
+        search = (text, providers = null, options = {}) => {
+            const providerDefs = {
+                ...SearchRunner.themeProviders(this.props.theme.current, searchProviders, providerFactory, providers),
+                ...Object.keys(this.runtimeProviders).reduce((res, key) => {
+                    return !providers || providers.includes(key) ? {...res, [key]: this.runtimeProviders[key]} : res;
+                }, {})
+            };
+            return SearchRunner.run(providerDefs, text, {map: this.props.map, theme: this.props.theme}, options);
+        }
+        /**
+         * Selects a location search result returned by `search`, as if it were selected in the search field.
+         *
+         * item: The result item.
+         * zoom: Whether to zoom to the result. Default: true.
+         *
+         * The map zooms to the bbox of the result, if not empty, and otherwise to the
+         * result position at the minimum scale 1:1000. A marker is placed at the
+         * result position and, if the provider supports it, the result geometry is highlighted.
+         */
+        selectSearchResult = (item, zoom = true) => {
+            if (item.type === SearchResultType.THEMELAYER || item.x === undefined || item.y === undefined) {
+                return;
+            }
+            if (zoom) {
+                const bbox = item.bbox;
+                if (bbox && bbox[0] !== bbox[2] && bbox[1] !== bbox[3]) {
+                    this.props.zoomToExtent(bbox, item.crs);
+                } else {
+                    this.props.zoomToPoint([item.x, item.y], MapUtils.computeZoom(this.props.map.scales, 1000), item.crs);
+                }
+            }
+            const layer = {
+                id: "searchselection",
+                role: LayerRole.SELECTION
+            };
+            const marker = {
+                id: "searchmarker",
+                geometry: {type: 'Point', coordinates: [item.x, item.y]},
+                properties: {label: item.label !== undefined ? item.label : String(item.text).replace(/<[^>]*>/g, " ").trim()},
+                crs: item.crs,
+                styleName: 'marker'
+            };
+            this.props.addLayerFeatures(layer, [marker], true);
+            this.props.setCurrentSearchResult(item);
+            const provider = this.runtimeProviders[item.provider] || SearchRunner.themeProviders(this.props.theme.current, searchProviders, providerFactory, [item.provider])[item.provider];
+            if (provider && provider.getResultGeometry) {
+                provider.getResultGeometry(item, (resultItem, geometry, crs) => {
+                    const feature = VectorLayerUtils.wktToGeoJSON(geometry, crs, this.props.map.projection);
+                    feature.id = "searchgeometry";
+                    this.props.addLayerFeatures(layer, [feature, marker], true);
+                });
+            }
+        }
+        /**
+         * Registers an additional search provider, which is queried by `search`.
+         *
+         * key: The provider key.
+         * provider: An object {label, search(text, {lang, crs})}, where `search` returns a promise resolving to a list of {id, text, label, x, y, crs, bbox} items,
+         *           or a provider implementing `onSearch` as documented in js/SearchProviders.js.
+         */
+        addSearchProvider = (key, provider) => {
+            this.runtimeProviders[key] = runtimeSearchProvider(key, provider);
+        }
+        removeSearchProvider = (key) => {
+            delete this.runtimeProviders[key];
+        }
+        /**
+         * Returns the editable layers of the current theme, as a list of {id, name, geomType, fields} entries,
+         * where `fields` are the field definitions of the theme editConfig, or null if a Qt Designer form is used.
+         */
+        getEditableLayers = () => {
+            const editConfig = (this.props.theme.current || {}).editConfig || {};
+            return Object.entries(editConfig).map(([id, entry]) => ({
+                id: id,
+                name: entry.layerName,
+                geomType: entry.geomType,
+                fields: entry.fields || null
+            }));
+        }
+        layerEditConfig = (layerId) => {
+            const editConfig = (this.props.theme.current || {}).editConfig || {};
+            if (!editConfig[layerId]) {
+                throw new Error("Layer " + layerId + " is not editable");
+            }
+            return editConfig[layerId];
+        }
+        /**
+         * Returns a promise resolving to the GeoJSON feature with the specified id.
+         *
+         * layerId: The id of an editable layer, see getEditableLayers.
+         * featureId: The feature id.
+         * crs: The CRS of the returned geometry. Default: the map CRS.
+         */
+        getFeature = (layerId, featureId, crs = null) => {
+            return new Promise((resolve, reject) => {
+                this.layerEditConfig(layerId);
+                editingInterface.getFeatureById(layerId, featureId, crs || this.props.map.projection, (feature) => {
+                    if (feature) {
+                        resolve(feature);
+                    } else {
+                        reject(new Error("Feature " + featureId + " of layer " + layerId + " not found"));
+                    }
+                });
+            });
+        }
+        /**
+         * Returns a promise resolving to the list of GeoJSON features of an editable layer at the specified position.
+         *
+         * pos: The position [x, y].
+         * crs: The CRS of pos and of the returned geometries. Default: the map CRS.
+         */
+        getFeaturesAt = (layerId, pos, crs = null) => {
+            return new Promise((resolve) => {
+                this.layerEditConfig(layerId);
+                const scale = MapUtils.computeForZoom(this.props.map.scales, this.props.map.zoom);
+                editingInterface.getFeature(layerId, pos, crs || this.props.map.projection, scale, this.props.map.dpi || 96, (result) => {
+                    resolve(result ? result.features : []);
+                });
+            });
+        }
+        /**
+         * Creates a feature. The feature is validated against the field constraints of the theme editConfig.
+         *
+         * feature: A GeoJSON feature.
+         * crs: The CRS of the feature geometry. Default: the map CRS.
+         *
+         * Returns a promise resolving to the created feature, or rejected with the constraint violations or service error.
+         */
+        addFeature = (layerId, feature, crs = null) => {
+            return new Promise((resolve, reject) => {
+                const editConfig = this.layerEditConfig(layerId);
+                crs = crs || this.props.map.projection;
+                const errors = EditConstraints.validate(editConfig, feature);
+                if (errors.length > 0) {
+                    throw new Error("Invalid feature: " + errors.join("; "));
+                }
+                editingInterface.addFeature(layerId, {type: "Feature", ...feature, crs: crsDefinition(crs)}, crs, (success, result) => {
+                    this.editingDone(success, result, resolve, reject);
+                });
+            });
+        }
+        /**
+         * Updates a feature. The properties of `feature` are merged into the current feature properties,
+         * the geometry is only updated if specified. The merged feature is validated against the field
+         * constraints of the theme editConfig, read-only fields cannot be changed.
+         *
+         * feature: A GeoJSON feature with the `id` of the feature to update.
+         * crs: The CRS of the feature geometry. Default: the map CRS.
+         *
+         * Returns a promise resolving to the updated feature, or rejected with the constraint violations or service error.
+         */
+        updateFeature = (layerId, feature, crs = null) => {
+            crs = crs || this.props.map.projection;
+            return this.getFeature(layerId, feature.id, crs).then(current => new Promise((resolve, reject) => {
+                const errors = EditConstraints.validate(this.layerEditConfig(layerId), feature, current);
+                if (errors.length > 0) {
+                    throw new Error("Invalid feature: " + errors.join("; "));
+                }
+                const merged = {
+                    ...current,
+                    geometry: feature.geometry || current.geometry,
+                    properties: {...current.properties, ...feature.properties},
+                    crs: crsDefinition(crs)
+                };
+                editingInterface.editFeature(layerId, merged, crs, (success, result) => {
+                    this.editingDone(success, result, resolve, reject);
+                });
+            }));
+        }
+        /**
+         * Deletes a feature. Returns a promise which resolves once the feature is deleted.
+         */
+        deleteFeature = (layerId, featureId) => {
+            return new Promise((resolve, reject) => {
+                this.layerEditConfig(layerId);
+                editingInterface.deleteFeature(layerId, featureId, (success, result) => {
+                    this.editingDone(success, success ? null : result, resolve, reject);
+                });
+            });
+        }
+        editingDone = (success, result, resolve, reject) => {
+            if (success) {
+                this.props.refreshLayer(layer => layer.role === LayerRole.THEME);
+                resolve(result);
+            } else {
+                reject(new Error(result || "Editing request failed"));
+            }
+        }
+        /**
+         * Returns a promise resolving to the features of the queryable theme layers at a point or within a polygon.
+         *
+         * geometry: A GeoJSON Point or Polygon geometry.
+         * crs: The CRS of the geometry. Default: the map CRS.
+         *
+         * The resulting features are augmented with the `layer` name and are in the map CRS.
+         */
+        identify = (geometry, crs = null) => {
+            const map = this.props.map;
+            const mapGeometry = VectorLayerUtils.reprojectGeometry(geometry, crs || map.projection, map.projection);
+            const requests = IdentifyUtils.getQueryLayers(this.props.layers, map).map(layer => new Promise(resolve => {
+                let request = null;
+                if (mapGeometry.type === "Point") {
+                    request = IdentifyUtils.buildRequest(layer, layer.queryLayers.join(","), mapGeometry.coordinates, map);
+                } else if (mapGeometry.type === "Polygon") {
+                    request = IdentifyUtils.buildFilterRequest(layer, layer.queryLayers.join(","), VectorLayerUtils.geoJSONGeomToWkt(mapGeometry), map);
+                } else {
+                    throw new Error("Unsupported geometry type " + mapGeometry.type);
+                }
+                IdentifyUtils.sendRequest(request, (response) => {
+                    if (!response) {
+                        resolve([]);
+                        return;
+                    }
+                    const clickPoint = mapGeometry.type === "Point" ? mapGeometry.coordinates : null;
+                    const results = IdentifyUtils.parseResponse(response, layer, request.params.info_format, clickPoint, map.projection, false, this.props.layers);
+                    resolve(Object.entries(results).reduce((features, [layername, entries]) => {
+                        return features.concat(entries.map(feature => ({...feature, layer: layername})));
+                    }, []));
+                });
+            }));
+            return Promise.all(requests).then(results => results.reduce((all, features) => all.concat(features), []));
+        }
+    }
+
+    return connect((state) => ({
+        layers: state.layers.flat,
+        map: state.map,
+        theme: state.theme
+    }), {
+        addLayerFeatures: addLayerFeatures,
+        refreshLayer: refreshLayer,
+        setCurrentSearchResult: setCurrentSearchResult,
+        zoomToExtent: zoomToExtent,
+        zoomToPoint: zoomToPoint
+    })(AppAPIPlugin);
+}
@@ -0,0 +1,160 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {ADD_LAYER, ADD_LAYER_FEATURES, CHANGE_LAYER_PROPERTY, REMOVE_LAYER} from 'qwc2/actions/layers';
+import {CHANGE_MAP_VIEW, CLICK_ON_MAP} from 'qwc2/actions/map';
+import {SET_CURRENT_SEARCH_RESULT} from 'qwc2/actions/search';
+import {SET_CURRENT_THEME} from 'qwc2/actions/theme';
+
+/**
+ * Events emitted to the `window.qwc2.on` subscribers, derived from the
+ * redux actions passed to the `actionLogger` in appConfig.js.
+ *
+ * Each entry maps an action to the event payload, or to null if the action
+ * does not produce an event. The payloads are documented in
+ * doc/QWC2_Documentation.md and must remain stable.
+ */
+
+// The identify plugin highlights the identified features in this layer
+const IDENTIFY_LAYER = "identifyslection";
+
+let mapCrs = null;
+const listeners = {};
+
+const EVENTS = {
+    mapchanged: {
+        action: CHANGE_MAP_VIEW,
+        payload: (action) => ({
+            center: action.center,
+            zoom: action.zoom,
+            bbox: action.bbox.bounds,
+            rotation: action.bbox.rotation || 0,
+            crs: action.projection
+        })
+    },
+    mapclicked: {
+        action: CLICK_ON_MAP,
+        payload: (action) => action.click ? {
+            coordinate: action.click.coordinate,
+            pixel: action.click.pixel,
+            button: action.click.button,
+            crs: mapCrs
+        } : null
+    },
+    themechanged: {
+        action: SET_CURRENT_THEME,
+        payload: (action) => ({
+            id: action.theme.id,
+            name: action.theme.name,
+            title: action.theme.title
+        })
+    },
+    layeradded: {
+        action: ADD_LAYER,
+        payload: (action) => ({
+            id: action.layer.id,
+            name: action.layer.name,
+            title: action.layer.title,
+            type: action.layer.type,
+            role: action.layer.role
+        })
+    },
+    layerremoved: {
+        action: REMOVE_LAYER,
+        payload: (action) => ({
+            id: action.layerId,
+            sublayerpath: action.sublayerpath || []
+        })
+    },
+    layervisibilitychanged: {
+        action: CHANGE_LAYER_PROPERTY,
+        payload: (action) => action.property === "visibility" ? {
+            uuid: action.layerUuid,
+            sublayerpath: action.sublayerpath || [],
+            visible: action.newvalue
+        } : null
+    },
+    featuresidentified: {
+        action: ADD_LAYER_FEATURES,
+        payload: (action) => action.layer && action.layer.id === IDENTIFY_LAYER ? {
+            features: action.features.map(feature => ({
+                id: feature.id,
+                layer: feature.layername,
+                properties: feature.properties,
+                geometry: feature.geometry
+            })),
+            crs: mapCrs
+        } : null
+    },
+    searchresultselected: {
+        action: SET_CURRENT_SEARCH_RESULT,
+        payload: (action) => action.currentResult ? {
+            id: action.currentResult.id,
+            text: action.currentResult.text,
+            label: action.currentResult.label,
+            x: action.currentResult.x,
+            y: action.currentResult.y,
+            crs: action.currentResult.crs,
+            bbox: action.currentResult.bbox,
+            provider: action.currentResult.provider
+        } : null
+    }
+};
+
+function checkEvent(event) {
+    if (!EVENTS[event]) {
+        throw new Error("Unknown event " + event + ", available events: " + Object.keys(EVENTS).join(", "));
+    }
+}
+
+const APIEvents = {
+    /**
+     * Registers a callback invoked with the payload of each occurrence of the event.
+     */
+    on(event, callback) {
+        checkEvent(event);
+        listeners[event] = [...(listeners[event] || []), callback];
+    },
+    off(event, callback) {
+        checkEvent(event);
+        listeners[event] = (listeners[event] || []).filter(entry => entry !== callback);
+    },
+    /**
+     * Emits the events corresponding to a dispatched redux action, to be invoked from the actionLogger.
+     */
+    handleAction(action) {
+        if (action.type === CHANGE_MAP_VIEW) {
+            mapCrs = action.projection;
+        }
+        Object.entries(EVENTS).forEach(([event, def]) => {
+            if (action.type !== def.action || !(listeners[event] || []).length) {
+                return;
+            }
+            const payload = def.payload(action);
+            if (!payload) {
+                return;
+            }
+            // Notify after the action has been processed, so that the
+            // callbacks can safely invoke other API functions
+            setTimeout(() => {
+                (listeners[event] || []).forEach(callback => {
+                    try {
+                        callback(payload);
+                    } catch (e) {
+                        // Report the error of the handler as uncaught error, without skipping the other handlers
+                        setTimeout(() => {
+                            throw e;
+                        }, 0);
+                    }
+                });
+            }, 0);
+        });
+    }
+};
+
+export default APIEvents;
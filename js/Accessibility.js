@@ -0,0 +1,137 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {ADD_LAYER_FEATURES} from 'qwc2/actions/layers';
+import {ADD_SEARCH_RESULTS, SET_CURRENT_SEARCH_RESULT} from 'qwc2/actions/search';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+
+/**
+ * Screen reader support: live region announcements, derived from the redux
+ * actions passed to the `actionLogger` in appConfig.js, and the ARIA roles
+ * and labels of the QWC2 components, which do not declare them themselves.
+ */
+
+// The identify plugin highlights the identified features in this layer
+const IDENTIFY_LAYER = "identifyslection";
+// Search results arrive provider by provider, announce their total once settled
+const SEARCH_ANNOUNCE_DELAY = 1000;
+
+/**
+ * ARIA attributes of the QWC2 components, by CSS selector. Labels are
+ * message ids, `title` uses the title attribute and `titlebar` the text of
+ * the titlebar of the element. Elements with role button are made
+ * focusable and are activated with Enter and Space.
+ */
+const ARIA_RULES = [
+    {selector: "#map", role: "application", label: "accessibility.map", tabindex: 0},
+    {selector: "#TopBar", role: "banner"},
+    {selector: "#BottomBar", role: "contentinfo"},
+    {selector: "#TopBar input[type=text]", label: "accessibility.search"},
+    {selector: "div.appmenu-button-container", role: "button", label: "accessibility.menu", tabindex: 0, haspopup: true},
+    {selector: "ul.appmenu-menu", role: "menu"},
+    {selector: "ul.appmenu-menu li", role: "menuitem", tabindex: -1},
+    {selector: "#TopBar .toolbar", role: "toolbar", label: "accessibility.toolbar"},
+    {selector: "#TopBar .toolbar > span.icon", role: "button", label: "title", tabindex: 0},
+    {selector: "button.map-button", label: "title"},
+    {selector: "div.sidebar", role: "region", label: "titlebar"},
+    {selector: "div.resizeable-window", role: "dialog", label: "titlebar"},
+    {selector: "div.sidebar-titlebar span.icon, div.resizeable-window-titlebar span.icon", role: "button", label: "title", tabindex: 0}
+];
+
+let liveRegion = null;
+let searchRequest = null;
+let searchCounts = {};
+let searchTimeout = null;
+
+function getLiveRegion() {
+    if (!liveRegion) {
+        liveRegion = document.createElement("div");
+        liveRegion.className = "accessibility-live-region";
+        liveRegion.setAttribute("aria-live", "polite");
+        liveRegion.setAttribute("aria-atomic", "true");
+        document.body.appendChild(liveRegion);
+    }
+    return liveRegion;
+}
+
+function elementLabel(el, label) {
+    if (label === "title") {
+        return el.getAttribute("title");
+    } else if (label === "titlebar") {
+        const titlebar = el.querySelector(".sidebar-titlebar, .resizeable-window-titlebar");
+        return titlebar ? titlebar.textContent.trim() : null;
+    }
+    return LocaleUtils.tr(label);
+}
+
+function countItems(groups) {
+    return (groups || []).reduce((sum, group) => sum + (group.items || []).length, 0);
+}
+
+function searchResultsMessage() {
+    const count = Object.values(searchCounts).reduce((sum, value) => sum + value, 0);
+    return count > 0 ? LocaleUtils.tr("accessibility.searchresults", count) : LocaleUtils.tr("accessibility.nosearchresults");
+}
+
+const Accessibility = {
+    /**
+     * Announces the specified text to screen readers.
+     */
+    announce(text) {
+        const region = getLiveRegion();
+        // Clear first, so that repeated messages are announced again
+        region.textContent = "";
+        setTimeout(() => {
+            region.textContent = text;
+        }, 50);
+    },
+    /**
+     * Applies the ARIA attributes to the QWC2 components below root. Existing
+     * attributes are preserved.
+     */
+    enhance(root) {
+        ARIA_RULES.forEach(rule => {
+            root.querySelectorAll(rule.selector).forEach(el => {
+                if (rule.role && !el.hasAttribute("role")) {
+                    el.setAttribute("role", rule.role);
+                }
+                if (rule.tabindex !== undefined && !el.hasAttribute("tabindex")) {
+                    el.setAttribute("tabindex", rule.tabindex);
+                }
+                if (rule.haspopup) {
+                    el.setAttribute("aria-haspopup", "true");
+                }
+                const label = rule.label && !el.hasAttribute("aria-label") ? elementLabel(el, rule.label) : null;
+                if (label) {
+                    el.setAttribute("aria-label", label);
+                }
+            });
+        });
+    },
+    /**
+     * Announces the search and identify results.
+     */
+    handleAction(action) {
+        if (action.type === ADD_SEARCH_RESULTS && action.results) {
+            if (!action.append || action.results.reqId !== searchRequest) {
+                searchRequest = action.results.reqId;
+                searchCounts = {};
+            }
+            searchCounts[action.results.provider] = countItems(action.results.data);
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => Accessibility.announce(searchResultsMessage()), SEARCH_ANNOUNCE_DELAY);
+        } else if (action.type === SET_CURRENT_SEARCH_RESULT && action.currentResult) {
+            const text = action.currentResult.label || String(action.currentResult.text || "").replace(/<[^>]*>/g, "");
+            Accessibility.announce(LocaleUtils.tr("accessibility.searchresultselected", text));
+        } else if (action.type === ADD_LAYER_FEATURES && action.layer && action.layer.id === IDENTIFY_LAYER) {
+            Accessibility.announce(LocaleUtils.tr("accessibility.identifyresults", (action.features || []).length));
+        }
+    }
+};
+
+export default Accessibility;
@@ -0,0 +1,211 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {changeZoomLevel, panTo, zoomToExtent} from 'qwc2/actions/map';
+import {setCurrentTask} from 'qwc2/actions/task';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import Accessibility from './Accessibility';
+import './style/Accessibility.css';
+
+const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+
+function focusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE)).filter(el => el.offsetParent !== null);
+}
+
+/**
+ * Keyboard operation and screen reader support, see Accessibility.js:
+ * - A "Skip to map" link.
+ * - Keyboard panning and zooming of the focused map.
+ * - Enter and Space activate the elements with role button, the arrow keys
+ *   move the focus within the app menu and the toolbar.
+ * - The focus moves into the panel of an activated task, Escape closes it
+ *   and the focus returns to the element which opened it.
+ */
+class AccessibilityPlugin extends React.Component {
+    static propTypes = {
+        changeZoomLevel: PropTypes.func,
+        map: PropTypes.object,
+        /* Fraction of the map extent to pan with the arrow keys */
+        panFraction: PropTypes.number,
+        panTo: PropTypes.func,
+        setCurrentTask: PropTypes.func,
+        task: PropTypes.string,
+        theme: PropTypes.object,
+        zoomToExtent: PropTypes.func
+    }
+    static defaultProps = {
+        panFraction: 0.25
+    }
+    componentDidMount() {
+        document.addEventListener("keydown", this.onKeyDown, true);
+        this.observer = new MutationObserver(this.enhance);
+        this.observer.observe(document.body, {childList: true, subtree: true});
+        this.enhance();
+    }
+    componentWillUnmount() {
+        document.removeEventListener("keydown", this.onKeyDown, true);
+        this.observer.disconnect();
+        clearTimeout(this.focusTimeout);
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.task !== prevProps.task) {
+            this.taskChanged(prevProps.task);
+        }
+        if (this.props.map.zoom !== prevProps.map.zoom && this.keyboardZoom) {
+            this.keyboardZoom = false;
+            const scale = Math.round((this.props.map.scales || [])[Math.round(this.props.map.zoom)] || 0);
+            Accessibility.announce(LocaleUtils.tr("accessibility.mapscale", scale.toLocaleString()));
+        }
+    }
+    enhance = () => {
+        // Coalesce the mutations of a render
+        if (!this.enhancePending) {
+            this.enhancePending = true;
+            requestAnimationFrame(() => {
+                this.enhancePending = false;
+                Accessibility.enhance(document);
+            });
+        }
+    }
+    taskChanged = (prevTask) => {
+        clearTimeout(this.focusTimeout);
+        if (this.props.task) {
+            if (!prevTask) {
+                this.returnFocus = document.activeElement;
+            }
+            // Wait for the panel of the task to render
+            this.focusTimeout = setTimeout(() => {
+                const panel = document.getElementById(this.props.task);
+                const first = panel ? focusableElements(panel)[0] : null;
+                if (first) {
+                    first.focus();
+                }
+            }, 250);
+        } else if (this.returnFocus) {
+            if (document.body.contains(this.returnFocus)) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+    }
+    onKeyDown = (ev) => {
+        const target = ev.target;
+        if (target.id === "map") {
+            this.mapKeyDown(ev);
+        } else if (ev.key === "Escape") {
+            this.escape(target);
+        } else if ((ev.key === "Enter" || ev.key === " ") && target.getAttribute("role") === "button" && target.tagName !== "BUTTON") {
+            ev.preventDefault();
+            this.press(target);
+        } else if (ev.key === "Enter" && target.getAttribute("role") === "menuitem") {
+            ev.preventDefault();
+            this.press(target);
+        } else if (ev.key.startsWith("Arrow") && target.parentNode && ["menu", "toolbar"].includes(target.parentNode.getAttribute("role"))) {
+            ev.preventDefault();
+            this.moveFocus(target, ev.key === "ArrowDown" || ev.key === "ArrowRight" ? 1 : -1);
+        } else if (ev.key === "ArrowDown" && target.classList.contains("appmenu-button-container")) {
+            const item = document.querySelector("ul.appmenu-menu li");
+            if (item && item.offsetParent !== null) {
+                ev.preventDefault();
+                item.focus();
+            }
+        }
+    }
+    mapKeyDown = (ev) => {
+        const map = this.props.map;
+        const bounds = map.bbox ? map.bbox.bounds : null;
+        const pan = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, 1],
+            ArrowDown: [0, -1]
+        }[ev.key];
+        if (pan && bounds) {
+            const dx = pan[0] * this.props.panFraction * (bounds[2] - bounds[0]);
+            const dy = pan[1] * this.props.panFraction * (bounds[3] - bounds[1]);
+            this.props.panTo([map.center[0] + dx, map.center[1] + dy], map.projection);
+        } else if (ev.key === "+" || ev.key === "=" || ev.key === "-") {
+            const maxZoom = (map.scales || []).length - 1;
+            const zoom = Math.max(0, Math.min(Math.round(map.zoom) + (ev.key === "-" ? -1 : 1), maxZoom));
+            if (zoom !== map.zoom) {
+                this.keyboardZoom = true;
+                this.props.changeZoomLevel(zoom);
+            }
+        } else if (ev.key === "Home" && this.props.theme && this.props.theme.initialBbox) {
+            this.props.zoomToExtent(this.props.theme.initialBbox.bounds, this.props.theme.initialBbox.crs);
+        } else {
+            return;
+        }
+        ev.preventDefault();
+        ev.stopPropagation();
+    }
+    escape = (target) => {
+        const menuitem = target.closest("ul.appmenu-menu");
+        if (menuitem) {
+            // Close the menu and return to its button
+            const button = document.querySelector("div.appmenu-button-container");
+            if (button) {
+                this.press(button);
+                button.focus();
+            }
+            return;
+        }
+        const dialog = target.closest("div.resizeable-window");
+        if (dialog) {
+            const close = dialog.querySelector("div.resizeable-window-titlebar span.icon-remove");
+            if (close) {
+                this.press(close);
+            }
+        } else if (this.props.task && target.closest("#" + CSS.escape(this.props.task))) {
+            this.props.setCurrentTask(null);
+        }
+    }
+    press = (el) => {
+        // The QWC2 components handle either mousedown or click
+        ["mousedown", "mouseup", "click"].forEach(type => {
+            el.dispatchEvent(new MouseEvent(type, {bubbles: true, cancelable: true, view: window, button: 0}));
+        });
+    }
+    moveFocus = (el, direction) => {
+        const siblings = Array.from(el.parentNode.children).filter(child => child.hasAttribute("tabindex") && child.offsetParent !== null);
+        const idx = siblings.indexOf(el);
+        const next = siblings[(idx + direction + siblings.length) % siblings.length];
+        if (next) {
+            next.focus();
+        }
+    }
+    render() {
+        return (
+            <a className="accessibility-skip-link" href="#map" onClick={this.skipToMap}>
+                {LocaleUtils.tr("accessibility.skiptomap")}
+            </a>
+        );
+    }
+    skipToMap = (ev) => {
+        ev.preventDefault();
+        const map = document.getElementById("map");
+        if (map) {
+            map.focus();
+        }
+    }
+}
+
+export default connect((state) => ({
+    map: state.map,
+    task: state.task.id,
+    theme: state.theme.current
+}), {
+    changeZoomLevel: changeZoomLevel,
+    panTo: panTo,
+    setCurrentTask: setCurrentTask,
+    zoomToExtent: zoomToExtent
+})(AccessibilityPlugin);
@@ -0,0 +1,322 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import {ADD_LAYER_FEATURES, CHANGE_LAYER_PROPERTY} from 'qwc2/actions/layers';
+import {ADD_SEARCH_RESULTS, CHANGE_SEARCH, SET_CURRENT_SEARCH_RESULT} from 'qwc2/actions/search';
+import {SET_CURRENT_TASK} from 'qwc2/actions/task';
+import {SET_CURRENT_THEME} from 'qwc2/actions/theme';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+
+/**
+ * Usage analytics and audit logging, configured by `analytics` in
+ * config.json.
+ *
+ * The redux actions passed to the `actionLogger` in appConfig.js, the
+ * submitted print requests and the feature edits are mapped to semantic
+ * events, which are passed to the configured sinks.
+ */
+
+// The identify plugin highlights the identified features in this layer
+const IDENTIFY_LAYER = "identifyslection";
+// Search results arrive provider by provider, log the search once settled
+const SEARCH_SETTLE_DELAY = 1000;
+// Event data removed in privacy mode
+const PRIVATE_FIELDS = ["text", "coordinate", "center", "bbox", "extent", "x", "y", "geometry"];
+const LOCAL_STORAGE_KEY = "qwc2-analytics";
+
+const sessionId = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+let sinks = null;
+let currentTheme = null;
+let searchText = "";
+let pendingSearch = null;
+let printTracking = false;
+
+/**
+ * Semantic events derived from redux actions. Each entry maps an action to
+ * the event data, or to null if the action does not produce the event.
+ */
+const ACTION_EVENTS = {
+    [SET_CURRENT_THEME]: (action) => action.theme ? {
+        event: "themeswitched",
+        data: {theme: action.theme.id, title: action.theme.title}
+    } : null,
+    [SET_CURRENT_TASK]: (action) => action.id ? {
+        event: "taskopened",
+        data: {task: action.id, mode: action.mode || null}
+    } : null,
+    [CHANGE_LAYER_PROPERTY]: (action) => action.property === "visibility" ? {
+        event: "layertoggled",
+        data: {layer: action.layerUuid, sublayerpath: action.sublayerpath || [], visible: action.newvalue}
+    } : null,
+    [SET_CURRENT_SEARCH_RESULT]: (action) => action.currentResult ? {
+        event: "searchresultselected",
+        data: {
+            provider: action.currentResult.provider || null,
+            text: action.currentResult.label || action.currentResult.text,
+            x: action.currentResult.x,
+            y: action.currentResult.y
+        }
+    } : null,
+    [ADD_LAYER_FEATURES]: (action) => action.layer && action.layer.id === IDENTIFY_LAYER ? {
+        event: "featuresidentified",
+        data: {count: (action.features || []).length}
+    } : null
+};
+
+function stripPrivate(data) {
+    if (Array.isArray(data)) {
+        return data.map(stripPrivate);
+    } else if (data && typeof data === "object") {
+        return Object.entries(data).reduce((res, [key, value]) => {
+            if (!PRIVATE_FIELDS.includes(key)) {
+                res[key] = stripPrivate(value);
+            }
+            return res;
+        }, {});
+    }
+    return data;
+}
+
+function httpSink(cfg) {
+    const batchSize = cfg.batchSize || 20;
+    const flushInterval = cfg.flushInterval || 10000;
+    const maxRetries = cfg.maxRetries !== undefined ? cfg.maxRetries : 5;
+    const maxQueue = cfg.maxQueue || 1000;
+    let queue = [];
+    let sending = false;
+    let retries = 0;
+    let timeout = null;
+    let schedule = null;
+    const flush = () => {
+        timeout = null;
+        if (sending || queue.length === 0) {
+            return;
+        }
+        sending = true;
+        const batch = queue.slice(0, batchSize);
+        axios.post(cfg.url, {events: batch}, {headers: cfg.headers || {}}).then(() => {
+            queue = queue.slice(batch.length);
+            retries = 0;
+            sending = false;
+            if (queue.length > 0) {
+                schedule(queue.length >= batchSize ? 0 : flushInterval);
+            }
+        }).catch(() => {
+            sending = false;
+            if (++retries > maxRetries) {
+                // Give up on this batch
+                queue = queue.slice(batch.length);
+                retries = 0;
+            }
+            if (queue.length > 0) {
+                schedule(Math.min(flushInterval * Math.pow(2, retries), 10 * 60000));
+            }
+        });
+    };
+    schedule = (delay) => {
+        clearTimeout(timeout);
+        timeout = setTimeout(flush, delay);
+    };
+    // Deliver the queued events when the page is closed
+    window.addEventListener("pagehide", () => {
+        if (queue.length > 0 && navigator.sendBeacon) {
+            navigator.sendBeacon(cfg.url, new Blob([JSON.stringify({events: queue})], {type: "application/json"}));
+            queue = [];
+        }
+    });
+    return {
+        send(event) {
+            queue.push(event);
+            if (queue.length > maxQueue) {
+                queue = queue.slice(queue.length - maxQueue);
+            }
+            if (queue.length >= batchSize) {
+                schedule(0);
+            } else if (!timeout) {
+                schedule(flushInterval);
+            }
+        }
+    };
+}
+
+function localStorageSink(cfg) {
+    const maxEntries = cfg.maxEntries || 500;
+    return {
+        send(event) {
+            try {
+                const entries = JSON.parse(window.localStorage.getItem(LOCAL_STORAGE_KEY)) || [];
+                entries.push(event);
+                window.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(entries.slice(-maxEntries)));
+            } catch (e) {
+                // Storage disabled or full
+            }
+        }
+    };
+}
+
+const sinkFactories = {
+    http: httpSink,
+    localStorage: localStorageSink
+};
+
+function getSinks() {
+    if (sinks === null) {
+        const config = ConfigUtils.getConfigProp("analytics");
+        // The config may not be loaded yet, retry on the next event
+        if (!config) {
+            return [];
+        }
+        sinks = (config.sinks || []).filter(cfg => {
+            if (!sinkFactories[cfg.type]) {
+                console.warn("Analytics: unknown sink type " + cfg.type + ", see Analytics.registerSink");
+                return false;
+            }
+            return true;
+        }).map(cfg => sinkFactories[cfg.type](cfg));
+    }
+    return sinks;
+}
+
+function logEvent(name, data) {
+    const activeSinks = getSinks();
+    const config = ConfigUtils.getConfigProp("analytics") || {};
+    if (activeSinks.length === 0 || (config.events && !config.events.includes(name))) {
+        return;
+    }
+    const event = {
+        event: name,
+        timestamp: new Date().toISOString(),
+        session: sessionId,
+        theme: currentTheme ? currentTheme.id : null,
+        data: config.privacy === false ? data : stripPrivate(data)
+    };
+    activeSinks.forEach(sink => sink.send(event));
+}
+
+function flushSearch() {
+    if (pendingSearch) {
+        clearTimeout(pendingSearch.timeout);
+        const counts = pendingSearch.counts;
+        logEvent("searchperformed", {
+            text: pendingSearch.text,
+            results: Object.values(counts).reduce((sum, count) => sum + count, 0),
+            providers: Object.keys(counts)
+        });
+        pendingSearch = null;
+    }
+}
+
+function handleSearchResults(action) {
+    if (!pendingSearch || pendingSearch.reqId !== action.results.reqId) {
+        flushSearch();
+        pendingSearch = {reqId: action.results.reqId, text: searchText, counts: {}};
+    }
+    const groups = action.results.data || [];
+    pendingSearch.counts[action.results.provider] = groups.reduce((sum, group) => sum + (group.items || []).length, 0);
+    clearTimeout(pendingSearch.timeout);
+    pendingSearch.timeout = setTimeout(flushSearch, SEARCH_SETTLE_DELAY);
+}
+
+function handlePrintSubmit(ev) {
+    const form = ev.target;
+    const printUrl = currentTheme && currentTheme.printUrl ? new URL(currentTheme.printUrl, window.location.href).href : null;
+    if (!printUrl || !form.action || !form.action.startsWith(printUrl.split("?")[0])) {
+        return;
+    }
+    const field = (name) => {
+        const input = Array.from(form.elements).find(el => el.name && el.name.toUpperCase() === name);
+        return input ? input.value : null;
+    };
+    logEvent("printrequested", {
+        layout: field("TEMPLATE"),
+        scale: field("MAP0:SCALE"),
+        dpi: field("DPI"),
+        format: field("FORMAT")
+    });
+}
+
+function editCallback(layerId, operation, id, callback) {
+    return (success, result) => {
+        logEvent("featureedited", {
+            layer: layerId,
+            operation: operation,
+            id: success && result && result.id !== undefined ? result.id : id,
+            success: success
+        });
+        callback(success, result);
+    };
+}
+
+const Analytics = {
+    /**
+     * Registers a sink type, usable in the `sinks` of the configuration.
+     *
+     * @param type The sink type
+     * @param factory A function returning a `{send(event)}` object for the
+     *        sink configuration
+     */
+    registerSink(type, factory) {
+        sinkFactories[type] = factory;
+    },
+    /**
+     * Passes an event to the sinks, unless filtered by the configuration.
+     */
+    log(name, data) {
+        logEvent(name, data);
+    },
+    handleAction(action) {
+        if (action.type === SET_CURRENT_THEME) {
+            currentTheme = action.theme;
+        } else if (action.type === CHANGE_SEARCH) {
+            searchText = action.text || "";
+        }
+        const config = ConfigUtils.getConfigProp("analytics");
+        if (!config) {
+            return;
+        }
+        if (!printTracking) {
+            // The Print plugin submits the print request as form
+            document.addEventListener("submit", handlePrintSubmit, true);
+            printTracking = true;
+        }
+        const allowed = config.actions || [...Object.keys(ACTION_EVENTS), ADD_SEARCH_RESULTS];
+        if (!allowed.includes(action.type)) {
+            return;
+        }
+        if (action.type === ADD_SEARCH_RESULTS && action.results) {
+            handleSearchResults(action);
+        } else if (ACTION_EVENTS[action.type]) {
+            const event = ACTION_EVENTS[action.type](action);
+            if (event) {
+                logEvent(event.event, event.data);
+            }
+        } else {
+            logEvent("action", {type: action.type});
+        }
+    },
+    /**
+     * Wraps an editing interface to log the added, updated and deleted features.
+     */
+    wrapEditingInterface(editingInterface) {
+        return {
+            ...editingInterface,
+            addFeature(layerId, feature, mapCrs, callback) {
+                editingInterface.addFeature(layerId, feature, mapCrs, editCallback(layerId, "add", feature.id, callback));
+            },
+            editFeature(layerId, feature, mapCrs, callback) {
+                editingInterface.editFeature(layerId, feature, mapCrs, editCallback(layerId, "update", feature.id, callback));
+            },
+            deleteFeature(layerId, featureId, callback) {
+                editingInterface.deleteFeature(layerId, featureId, editCallback(layerId, "delete", featureId, callback));
+            }
+        };
+    }
+};
+
+export default Analytics;
@@ -0,0 +1,85 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Persistent cache of parsed service capabilities in IndexedDB.
+ *
+ * All operations resolve to null respectively do nothing if IndexedDB is not
+ * available, i.e. in private browsing mode, so callers fall back to fetching
+ * the capabilities.
+ */
+
+const DB_NAME = "qwc2-capabilities";
+const STORE_NAME = "capabilities";
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const request = window.indexedDB.open(DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, {keyPath: "key"});
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                // Another tab holds an older version open
+                request.onblocked = () => resolve(null);
+            } catch (e) {
+                // IndexedDB disabled
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+}
+
+function transaction(mode, operation) {
+    return openDb().then(db => new Promise((resolve) => {
+        if (!db) {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        } catch (e) {
+            // Database closed or quota exceeded
+            resolve(null);
+        }
+    }));
+}
+
+const CapabilitiesCache = {
+    /**
+     * Returns a promise resolving to the cached capabilities, or to null if
+     * none are cached or they are older than ttl milliseconds.
+     */
+    get(key, ttl) {
+        return transaction("readonly", store => store.get(key)).then(entry => {
+            return entry && Date.now() - entry.timestamp <= ttl ? entry.capabilities : null;
+        });
+    },
+    /**
+     * Stores the capabilities, which must be serializable by the structured
+     * clone algorithm.
+     */
+    set(key, capabilities) {
+        return transaction("readwrite", store => store.put({key: key, timestamp: Date.now(), capabilities: capabilities}));
+    },
+    /**
+     * Removes all cached capabilities.
+     */
+    clear() {
+        return transaction("readwrite", store => store.clear());
+    }
+};
+
+export default CapabilitiesCache;
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import SideBar from 'qwc2/components/SideBar';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import ColorSchemes from './ColorSchemes';
+import './style/ColorScheme.css';
+
+const MEDIA_QUERIES = ["(prefers-color-scheme: dark)", "(prefers-contrast: more)", "(forced-colors: active)"];
+
+/**
+ * Applies the color scheme of the current theme, and lets the user choose
+ * the color scheme in a sidebar, see ColorSchemes.js.
+ */
+class ColorSchemePlugin extends React.Component {
+    static propTypes = {
+        theme: PropTypes.object
+    }
+    state = {
+        choice: ColorSchemes.getChoice(),
+        scheme: null
+    }
+    componentDidMount() {
+        this.mediaQueries = window.matchMedia ? MEDIA_QUERIES.map(query => window.matchMedia(query)) : [];
+        // addListener for browsers without EventTarget based MediaQueryList
+        this.mediaQueries.forEach(mql => (mql.addEventListener ? mql.addEventListener("change", this.applyScheme) : mql.addListener(this.applyScheme)));
+        this.applyScheme();
+    }
+    componentWillUnmount() {
+        this.mediaQueries.forEach(mql => (mql.removeEventListener ? mql.removeEventListener("change", this.applyScheme) : mql.removeListener(this.applyScheme)));
+    }
+    componentDidUpdate(prevProps, prevState) {
+        if (this.props.theme !== prevProps.theme || this.state.choice !== prevState.choice) {
+            this.applyScheme();
+        }
+    }
+    applyScheme = () => {
+        const scheme = ColorSchemes.apply(this.props.theme, this.state.choice);
+        if (scheme !== this.state.scheme) {
+            this.setState({scheme: scheme});
+        }
+    }
+    render() {
+        return (
+            <SideBar icon="palette" id="ColorScheme" title="appmenu.items.ColorScheme" width="20em">
+                {() => ({
+                    body: this.renderBody()
+                })}
+            </SideBar>
+        );
+    }
+    renderBody = () => {
+        const choices = ["auto", ...ColorSchemes.schemes(this.props.theme)];
+        return (
+            <div className="color-scheme-body">
+                {choices.map(choice => (
+                    <label className="color-scheme-choice" key={choice}>
+                        <input checked={this.state.choice === choice} name="color-scheme" onChange={() => this.choose(choice)} type="radio" />
+                        {choice === "auto" || ColorSchemes.isBuiltin(choice) ? LocaleUtils.tr("colorscheme." + choice) : choice}
+                    </label>
+                ))}
+                <div className="color-scheme-current">
+                    {LocaleUtils.tr("colorscheme.current")}: {this.state.scheme && ColorSchemes.isBuiltin(this.state.scheme) ? LocaleUtils.tr("colorscheme." + this.state.scheme) : this.state.scheme}
+                </div>
+            </div>
+        );
+    }
+    choose = (choice) => {
+        ColorSchemes.setChoice(choice);
+        this.setState({choice: choice});
+    }
+}
+
+export default connect((state) => ({
+    theme: state.theme.current
+}))(ColorSchemePlugin);
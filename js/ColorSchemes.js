@@ -0,0 +1,159 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+
+/**
+ * Runtime color schemes.
+ *
+ * The keys of styleConfig.js are exposed as CSS custom properties (i.e.
+ * `--panel_bg`), see webpack.config.js. The `default` scheme uses the
+ * values of styleConfig.js, overridden by the `styleConfig` of config.json
+ * or of the theme config. The other schemes replace these values, and can be
+ * adjusted or extended with `colorSchemes` in config.json or the theme config.
+ */
+
+const STORAGE_KEY = "qwc2-color-scheme";
+
+const BUILTIN_SCHEMES = {
+    default: {},
+    dark: {
+        base_fg: "#e0e0e0",
+        panel_bg: "rgba(40, 40, 40, 0.85)",
+        panel_fg: "#e0e0e0",
+        titlebar_bg: "#1e1e1e",
+        titlebar_fg: "#f0f0f0",
+        container_bg: "#2b2b2b",
+        button_bg: "#3a3a3a",
+        button_hover_bg: "#4a4a4a",
+        appmenu_bg1: "#333333",
+        appmenu_fg1: "#e0e0e0",
+        appmenu_active_bg1: "#444444",
+        appmenu_active_fg1: "white",
+        appmenu_bg2: "#222222",
+        appmenu_fg2: "#e0e0e0",
+        appmenu_active_bg2: "#555555",
+        appmenu_active_fg2: "white",
+        map_button_bg: "#333333",
+        map_button_fg: "#e0e0e0",
+        map_button_active_bg: "#e0e0e0",
+        map_button_active_fg: "#333333",
+        item_border: "#555555",
+        item_active: "#3fb5cc",
+        item_active_hover: "#2a9bb0",
+        item_inactive_hover: "#444444"
+    },
+    highcontrast: {
+        base_fg: "black",
+        panel_bg: "white",
+        panel_fg: "black",
+        titlebar_bg: "black",
+        titlebar_fg: "white",
+        container_bg: "white",
+        button_bg: "white",
+        button_hover_bg: "#ffeb3b",
+        appmenu_bg1: "white",
+        appmenu_fg1: "black",
+        appmenu_active_bg1: "black",
+        appmenu_active_fg1: "white",
+        appmenu_bg2: "black",
+        appmenu_fg2: "white",
+        appmenu_active_bg2: "#ffeb3b",
+        appmenu_active_fg2: "black",
+        map_button_bg: "black",
+        map_button_fg: "white",
+        map_button_active_bg: "#ffeb3b",
+        map_button_active_fg: "black",
+        item_border: "black",
+        item_active: "#000080",
+        item_active_hover: "#000050",
+        item_inactive_hover: "#ffeb3b"
+    }
+};
+
+// Custom properties set by the last call to apply
+let appliedKeys = [];
+
+function mediaMatches(query) {
+    return window.matchMedia ? window.matchMedia(query).matches : false;
+}
+
+const ColorSchemes = {
+    /**
+     * Returns the names of the available schemes.
+     */
+    schemes(theme) {
+        return Object.keys({...BUILTIN_SCHEMES, ...ConfigUtils.getConfigProp("colorSchemes", theme)});
+    },
+    isBuiltin(scheme) {
+        return BUILTIN_SCHEMES[scheme] !== undefined;
+    },
+    /**
+     * Returns the scheme chosen by the user, or `auto`.
+     */
+    getChoice() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY) || "auto";
+        } catch (e) {
+            return "auto";
+        }
+    },
+    setChoice(choice) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, choice);
+        } catch (e) {
+            // Storage disabled, the choice is kept for this session only
+        }
+    },
+    /**
+     * Returns the effective scheme: the scheme chosen by the user, otherwise
+     * the `colorScheme` of the theme, otherwise the scheme matching the
+     * contrast and color preferences of the operating system.
+     */
+    resolve(theme, choice) {
+        const schemes = ColorSchemes.schemes(theme);
+        if (schemes.includes(choice)) {
+            return choice;
+        }
+        const themeScheme = ConfigUtils.getConfigProp("colorScheme", theme);
+        if (schemes.includes(themeScheme)) {
+            return themeScheme;
+        }
+        if (mediaMatches("(prefers-contrast: more)") || mediaMatches("(forced-colors: active)")) {
+            return "highcontrast";
+        }
+        return mediaMatches("(prefers-color-scheme: dark)") ? "dark" : "default";
+    },
+    /**
+     * Returns the custom property values of the specified scheme.
+     */
+    values(theme, scheme) {
+        const configSchemes = ConfigUtils.getConfigProp("colorSchemes", theme) || {};
+        if (scheme === "default") {
+            return {...configSchemes.default, ...ConfigUtils.getConfigProp("styleConfig", theme)};
+        }
+        return {...BUILTIN_SCHEMES[scheme], ...configSchemes[scheme]};
+    },
+    /**
+     * Applies the effective scheme of the theme to the document.
+     *
+     * @return The name of the applied scheme
+     */
+    apply(theme, choice = ColorSchemes.getChoice()) {
+        const scheme = ColorSchemes.resolve(theme, choice);
+        const values = ColorSchemes.values(theme, scheme);
+        const style = document.documentElement.style;
+        appliedKeys.filter(key => values[key] === undefined).forEach(key => style.removeProperty("--" + key));
+        Object.entries(values).forEach(([key, value]) => style.setProperty("--" + key, value));
+        appliedKeys = Object.keys(values);
+        document.documentElement.setAttribute("data-color-scheme", scheme);
+        return scheme;
+    }
+};
+
+export default ColorSchemes;
@@ -0,0 +1,179 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import CoordinatesUtils from 'qwc2/utils/CoordinatesUtils';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import ExpressionEngine from './ExpressionEngine';
+
+/**
+ * Identify attributes computed from the `computedAttributes` configuration,
+ * specified in config.json or in the theme config, in the format
+ *
+ *   {"<layername>|*": [{title, expression|template, link, type, condition}, ...]}
+ *
+ * See ExpressionEngine.js for the expression syntax. Expressions can access
+ * the feature attributes by name, `$id`, `$layer`, `$crs`, `$scale`, and the
+ * functions below.
+ */
+
+// Mean earth radius, as used for the geodesic measurements of OpenLayers
+const EARTH_RADIUS = 6371008.8;
+
+function toRadians(deg) {
+    return deg * Math.PI / 180;
+}
+
+function toWgs84(coords, crs) {
+    return crs === "EPSG:4326" ? coords : coords.map(coord => CoordinatesUtils.reproject(coord, crs, "EPSG:4326"));
+}
+
+function ringArea(ring) {
+    // Spherical excess of the ring, see "Some Algorithms for Polygons on a Sphere", Chamberlain & Duquette
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += toRadians(ring[i][0] - ring[j][0]) * (2 + Math.sin(toRadians(ring[j][1])) + Math.sin(toRadians(ring[i][1])));
+    }
+    return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+function polygonArea(rings, crs) {
+    return rings.reduce((sum, ring, idx) => sum + (idx === 0 ? 1 : -1) * ringArea(toWgs84(ring, crs)), 0);
+}
+
+function distance(a, b) {
+    // Haversine formula
+    const lat1 = toRadians(a[1]);
+    const lat2 = toRadians(b[1]);
+    const h = Math.pow(Math.sin((lat2 - lat1) / 2), 2) + Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin(toRadians(b[0] - a[0]) / 2), 2);
+    return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function lineLength(coords, crs) {
+    const wgs84Coords = toWgs84(coords, crs);
+    return wgs84Coords.slice(1).reduce((sum, coord, idx) => sum + distance(wgs84Coords[idx], coord), 0);
+}
+
+// The geometries are in the map projection, the area and length are measured
+// geodesically in square meters and meters, like in the Measure plugin
+function geometryArea(geometry, crs) {
+    if (!geometry) {
+        return null;
+    } else if (geometry.type === "Polygon") {
+        return polygonArea(geometry.coordinates, crs);
+    } else if (geometry.type === "MultiPolygon") {
+        return geometry.coordinates.reduce((sum, rings) => sum + polygonArea(rings, crs), 0);
+    }
+    return 0;
+}
+
+function geometryLength(geometry, crs) {
+    if (!geometry) {
+        return null;
+    } else if (geometry.type === "LineString") {
+        return lineLength(geometry.coordinates, crs);
+    } else if (geometry.type === "MultiLineString" || geometry.type === "Polygon") {
+        return geometry.coordinates.reduce((sum, coords) => sum + lineLength(coords, crs), 0);
+    } else if (geometry.type === "MultiPolygon") {
+        return geometry.coordinates.reduce((sum, rings) => sum + rings.reduce((res, coords) => res + lineLength(coords, crs), 0), 0);
+    }
+    return 0;
+}
+
+function expressionFunctions(feature, crs) {
+    const lang = LocaleUtils.lang();
+    return {
+        area: () => geometryArea(feature.geometry, crs),
+        length: () => geometryLength(feature.geometry, crs),
+        attr: (name) => Object.prototype.hasOwnProperty.call(feature.properties || {}, name) ? feature.properties[name] : null,
+        round: (value, digits = 0) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits),
+        floor: Math.floor,
+        ceil: Math.ceil,
+        abs: Math.abs,
+        min: Math.min,
+        max: Math.max,
+        number: (value) => Number(value),
+        string: (value) => value === null || value === undefined ? "" : String(value),
+        upper: (value) => String(value).toUpperCase(),
+        lower: (value) => String(value).toLowerCase(),
+        trim: (value) => String(value).trim(),
+        substr: (value, start, len) => String(value).substr(start, len),
+        replace: (value, search, replacement) => String(value).split(search).join(replacement),
+        concat: (...values) => values.filter(value => value !== null && value !== undefined).join(""),
+        coalesce: (...values) => {
+            const value = values.find(entry => entry !== null && entry !== undefined && entry !== "");
+            return value === undefined ? null : value;
+        },
+        encode: (value) => encodeURIComponent(value),
+        format_number: (value, digits = 0) => Number(value).toLocaleString(lang, {minimumFractionDigits: digits, maximumFractionDigits: digits}),
+        format_date: (value) => value ? new Date(value).toLocaleDateString(lang) : ""
+    };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+function computeEntry(entry, variables, functions) {
+    if (entry.condition && !ExpressionEngine.evaluate(entry.condition, variables, functions)) {
+        return null;
+    }
+    // Only the markup of the template of html entries is rendered as HTML, the computed values are escaped
+    const escape = entry.type === "html" ? escapeHtml : null;
+    let value = null;
+    if (entry.expression !== undefined) {
+        value = ExpressionEngine.evaluate(entry.expression, variables, functions);
+        value = escape && value !== null && value !== undefined ? escape(value) : value;
+    } else {
+        value = ExpressionEngine.evaluateTemplate(entry.template || "", variables, functions, escape);
+    }
+    return {
+        title: ExpressionEngine.evaluateTemplate(entry.title || "", variables, functions),
+        value: value,
+        link: entry.link ? ExpressionEngine.evaluateTemplate(entry.link, variables, functions) : undefined,
+        type: entry.type
+    };
+}
+
+const ComputedAttributes = {
+    /**
+     * Returns the computed attributes of a feature.
+     *
+     * @param layer The layer name
+     * @param feature The GeoJSON feature, in map CRS
+     * @param context The identify context {crs, scale, clickPos, lang, theme}
+     * @return A list of {title, value, link, type} entries. Entries whose
+     *         expressions fail, i.e. because of syntax errors or unknown
+     *         functions, display the error message as value.
+     */
+    compute(layer, feature, context) {
+        const config = ConfigUtils.getConfigProp("computedAttributes", context.theme) || {};
+        const entries = [...(config["*"] || []), ...(config[layer] || [])];
+        const variables = {...feature.properties, $id: feature.id, $layer: layer, $crs: context.crs, $scale: context.scale};
+        const functions = expressionFunctions(feature, context.crs);
+        return entries.map(entry => {
+            try {
+                return computeEntry(entry, variables, functions);
+            } catch (e) {
+                return {title: entry.title || "", value: LocaleUtils.tr("identify.computedattributeerror") + ": " + e.message, type: "text"};
+            }
+        }).filter(entry => entry);
+    },
+    /**
+     * Returns an attribute calculator combining the computed attributes with
+     * the entries of the specified calculator, see StructuredAttributes.jsx.
+     */
+    calculator(customCalculator) {
+        return (layer, feature, context) => {
+            const computed = ComputedAttributes.compute(layer, feature, context);
+            return Promise.resolve(customCalculator(layer, feature, context)).then(entries => [...computed, ...(entries || [])]);
+        };
+    }
+};
+
+export default ComputedAttributes;
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {setCurrentTask} from 'qwc2/actions/task';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import HelpContent from './HelpContent';
+import './style/Help.css';
+
+/**
+ * Augments the Help plugin with a "?" button, shown while a tool is active
+ * for which the help manifest lists a page, which opens the help at that page.
+ */
+export default function ContextHelp(HelpPlugin) {
+    class ContextHelpPlugin extends React.Component {
+        static propTypes = {
+            /* Whether to show the contextual help button */
+            contextHelp: PropTypes.bool,
+            setCurrentTask: PropTypes.func,
+            task: PropTypes.string,
+            theme: PropTypes.object
+        }
+        static defaultProps = {
+            contextHelp: true
+        }
+        state = {
+            manifest: null
+        }
+        componentDidMount() {
+            this.loadManifest();
+        }
+        componentDidUpdate(prevProps) {
+            if (this.props.theme !== prevProps.theme) {
+                this.loadManifest();
+            }
+        }
+        loadManifest = () => {
+            if (!this.props.contextHelp) {
+                return;
+            }
+            HelpContent.loadManifest(this.props.theme).then(manifest => {
+                this.setState({manifest: manifest});
+            }).catch(() => {
+                this.setState({manifest: null});
+            });
+        }
+        render() {
+            // Pass the plugin config props on to the Help plugin, which connects to the store itself
+            const helpProps = Object.keys(this.props).filter(key => !(key in ContextHelpPlugin.propTypes)).reduce((res, key) => {
+                res[key] = this.props[key];
+                return res;
+            }, {});
+            return (
+                <React.Fragment>
+                    <HelpPlugin {...helpProps} />
+                    {this.renderButton()}
+                </React.Fragment>
+            );
+        }
+        renderButton = () => {
+            if (!this.state.manifest || !this.props.task || this.props.task === "Help") {
+                return null;
+            }
+            const page = HelpContent.pluginPage(this.state.manifest, this.props.theme, this.props.task);
+            if (!page) {
+                return null;
+            }
+            return (
+                <button className="context-help-button" onClick={() => this.showHelp(page.id)} title={LocaleUtils.tr("help.contexthelp")}>?</button>
+            );
+        }
+        showHelp = (pageId) => {
+            HelpContent.requestPage(pageId);
+            this.props.setCurrentTask("Help");
+        }
+    }
+
+    return connect((state) => ({
+        task: state.task.id,
+        theme: state.theme.current
+    }), {
+        setCurrentTask: setCurrentTask
+    })(ContextHelpPlugin);
+}
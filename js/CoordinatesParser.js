@@ -0,0 +1,228 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import proj4 from 'proj4';
+
+/**
+ * Parses free-form coordinate strings into a list of candidate positions.
+ *
+ * Supported notations:
+ *  - Decimal degrees and degree-minute-second, with optional hemisphere
+ *    letters as prefix or suffix: `47°22'36.5"N 8°32'27"E`, `N 47.3768 E 8.5329`.
+ *    With hemisphere letters, the degrees, minutes and seconds can also be
+ *    separated by spaces only: `47 22 36 N 8 32 27 E`
+ *  - UTM with zone and latitude band: `32T 464000 5247000`
+ *  - MGRS: `32TMT6400047000`, `32T MT 64000 47000`
+ *  - Two plain numbers, optionally with `'` thousands separators, which are
+ *    interpreted in every projected CRS passed to `parse`: `2'683'002 / 1'248'093`
+ *
+ * Each candidate is of the form
+ *   {x, y, crs, bbox, interpretation}
+ * where `interpretation` is a short human readable description of how the input was read.
+ */
+
+const NUM = "(\\d+(?:\\.\\d+)?)";
+const HEMI = "([NSEWO])";
+// Degrees, optionally followed by minutes and seconds
+const DMS = "([+-]?\\d+(?:\\.\\d+)?)\\s*°?(?:\\s*" + NUM + "\\s*')?(?:\\s*" + NUM + "\\s*\")?";
+// Hemisphere either before or after the angle, never both
+const ANGLE = "(?:" + HEMI + "\\s*" + DMS + "|" + DMS + "\\s*" + HEMI + "?)";
+// Degrees, minutes and optional seconds separated by spaces, only with hemisphere
+const SPACED_DMS = "(\\d+)\\s+" + NUM + "(?:\\s+" + NUM + ")?";
+const SPACED_ANGLE = "(?:" + HEMI + "\\s*" + SPACED_DMS + "|" + SPACED_DMS + "\\s*" + HEMI + ")";
+const SEP = "\\s*[,;/\\s]\\s*";
+const GROUPED_NUM = "([+-]?\\d+(?:'\\d{3})*(?:\\.\\d+)?)";
+
+const GEOGRAPHIC_RE = new RegExp("^" + ANGLE + SEP + ANGLE + "$");
+const SPACED_GEOGRAPHIC_RE = new RegExp("^" + SPACED_ANGLE + SEP + SPACED_ANGLE + "$");
+const PLAIN_RE = new RegExp("^" + GROUPED_NUM + SEP + GROUPED_NUM + "$");
+const UTM_RE = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*M?E?\s*[,;/\s]\s*(\d+(?:\.\d+)?)\s*M?N?$/;
+const MGRS_RE = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z]{2})\s*(\d+)\s*(\d*)$/;
+
+function normalize(text) {
+    return text.trim().toUpperCase()
+        .replace(/[º˚]/g, "°")
+        .replace(/[″“”]/g, '"')
+        .replace(/[′‘’`´]/g, "'")
+        .replace(/''/g, '"')
+        .replace(/\s+/g, " ");
+}
+
+function parseAngle(groups) {
+    // groups: [hemiBefore, deg, min, sec, deg, min, sec, hemiAfter]
+    const hemi = groups[0] || groups[7] || null;
+    const deg = groups[1] !== undefined ? groups[1] : groups[4];
+    const min = groups[1] !== undefined ? groups[2] : groups[5];
+    const sec = groups[1] !== undefined ? groups[3] : groups[6];
+    if ((min !== undefined || sec !== undefined) && deg.indexOf(".") !== -1) {
+        // Fractional degrees with additional minutes/seconds
+        return null;
+    }
+    if ((min !== undefined && parseFloat(min) >= 60) || (sec !== undefined && parseFloat(sec) >= 60)) {
+        return null;
+    }
+    if (sec !== undefined && min !== undefined && min.indexOf(".") !== -1) {
+        // Fractional minutes with additional seconds
+        return null;
+    }
+    const sign = deg.startsWith("-") ? -1 : 1;
+    let value = Math.abs(parseFloat(deg)) + parseFloat(min || 0) / 60 + parseFloat(sec || 0) / 3600;
+    if (hemi === "S" || hemi === "W") {
+        value = -value;
+    } else {
+        value *= sign;
+    }
+    return {
+        value: value,
+        hemi: hemi === "O" ? "E" : hemi,
+        dms: min !== undefined || sec !== undefined
+    };
+}
+
+function geographicCandidate(lon, lat, interpretation) {
+    if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+        return null;
+    }
+    return {
+        x: lon,
+        y: lat,
+        crs: "EPSG:4326",
+        bbox: [lon, lat, lon, lat],
+        interpretation: interpretation
+    };
+}
+
+function parseGeographic(text) {
+    // Both expressions capture the same groups per angle, see parseAngle
+    const match = text.match(GEOGRAPHIC_RE) || text.match(SPACED_GEOGRAPHIC_RE);
+    if (!match) {
+        return [];
+    }
+    const first = parseAngle(match.slice(1, 9));
+    const second = parseAngle(match.slice(9, 17));
+    if (!first || !second) {
+        return [];
+    }
+    const isLat = (hemi) => hemi === "N" || hemi === "S";
+    const isLon = (hemi) => hemi === "E" || hemi === "W";
+    const interpretation = first.dms || second.dms ? "DMS" : null;
+    if (first.hemi || second.hemi) {
+        let lat = null;
+        let lon = null;
+        if (isLat(first.hemi) || isLon(second.hemi)) {
+            lat = first;
+            lon = second;
+        } else {
+            lon = first;
+            lat = second;
+        }
+        // Reject inconsistent hemispheres, i.e. N 47 S 8
+        if ((lat.hemi && !isLat(lat.hemi)) || (lon.hemi && !isLon(lon.hemi))) {
+            return [];
+        }
+        const candidate = geographicCandidate(lon.value, lat.value, interpretation);
+        return candidate ? [candidate] : [];
+    }
+    // No hemisphere given: both axis orders are possible
+    const candidates = [
+        geographicCandidate(first.value, second.value, interpretation),
+        first.value !== second.value ? geographicCandidate(second.value, first.value, interpretation) : null
+    ];
+    return candidates.filter(candidate => candidate);
+}
+
+function parseUtm(text) {
+    const match = text.match(UTM_RE);
+    if (!match) {
+        return [];
+    }
+    const zone = parseInt(match[1], 10);
+    if (zone < 1 || zone > 60) {
+        return [];
+    }
+    const south = match[2] < "N";
+    const utmdef = "+proj=utm +zone=" + zone + (south ? " +south" : "") + " +datum=WGS84 +units=m +no_defs";
+    const x = parseFloat(match[3]);
+    const y = parseFloat(match[4]);
+    const pos = proj4(utmdef, "EPSG:4326", [x, y]);
+    const candidate = geographicCandidate(pos[0], pos[1], "UTM " + zone + match[2]);
+    return candidate ? [candidate] : [];
+}
+
+function parseMgrs(text) {
+    const match = text.match(MGRS_RE);
+    if (!match) {
+        return [];
+    }
+    // Numeric part is either a single digit string or separate easting and northing
+    const digits = match[4] + match[5];
+    if (digits.length % 2 !== 0 || digits.length > 10 || (match[5] && match[4].length !== match[5].length)) {
+        return [];
+    }
+    let bbox = null;
+    try {
+        bbox = proj4.mgrs.inverse(match[1] + match[2] + match[3] + digits);
+    } catch (e) {
+        return [];
+    }
+    const candidate = geographicCandidate(0.5 * (bbox[0] + bbox[2]), 0.5 * (bbox[1] + bbox[3]), "MGRS");
+    if (candidate) {
+        candidate.bbox = bbox;
+        return [candidate];
+    }
+    return [];
+}
+
+function parsePlain(text, projectedCrs) {
+    const match = text.match(PLAIN_RE);
+    if (!match) {
+        return [];
+    }
+    const x = parseFloat(match[1].replace(/'/g, ""));
+    const y = parseFloat(match[2].replace(/'/g, ""));
+    const candidates = projectedCrs.map(entry => ({
+        x: x,
+        y: y,
+        crs: entry.code,
+        bbox: [x, y, x, y],
+        interpretation: entry.label || entry.code
+    }));
+    if (match[1].indexOf("'") === -1 && match[2].indexOf("'") === -1) {
+        // Plain decimals can also be geographic coordinates in either axis order
+        return candidates.concat(parseGeographic(text));
+    }
+    return candidates;
+}
+
+const CoordinatesParser = {
+    /**
+     * Parses the specified text.
+     *
+     * @param text The text to parse
+     * @param projectedCrs A list of {code, label} entries of projected CRS in which
+     *                     plain number pairs should be interpreted
+     * @return A list of candidates, possibly empty
+     */
+    parse(text, projectedCrs = []) {
+        const normalized = normalize(text);
+        if (!normalized) {
+            return [];
+        }
+        const plain = parsePlain(normalized, projectedCrs);
+        if (plain.length > 0) {
+            return plain;
+        }
+        return [
+            ...parseUtm(normalized),
+            ...parseMgrs(normalized),
+            ...parseGeographic(normalized)
+        ];
+    }
+};
+
+export default CoordinatesParser;
@@ -0,0 +1,52 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import CoordinatesParser from './CoordinatesParser';
+
+function expectPosition(candidate, x, y, interpretation) {
+    expect(candidate.crs).toBe("EPSG:4326");
+    expect(candidate.x).toBeCloseTo(x, 4);
+    expect(candidate.y).toBeCloseTo(y, 4);
+    expect(candidate.interpretation).toBe(interpretation);
+}
+
+describe("CoordinatesParser", () => {
+    it("parses degree-minute-second notation", () => {
+        const candidates = CoordinatesParser.parse("47°22'36\"N 8°32'27\"E");
+        expect(candidates.length).toBe(1);
+        expectPosition(candidates[0], 8.540833, 47.376667, "DMS");
+    });
+
+    it("parses decimal degrees with hemisphere prefix", () => {
+        const candidates = CoordinatesParser.parse("N 47.3768 E 8.5329");
+        expect(candidates.length).toBe(1);
+        expectPosition(candidates[0], 8.5329, 47.3768, null);
+    });
+
+    it("parses degrees, minutes and seconds separated by spaces", () => {
+        const candidates = CoordinatesParser.parse("47 22 36 N 8 32 27 E");
+        expect(candidates.length).toBe(1);
+        expectPosition(candidates[0], 8.540833, 47.376667, "DMS");
+    });
+
+    it("parses degrees and minutes separated by spaces with hemisphere prefix", () => {
+        const candidates = CoordinatesParser.parse("S 33 51.5, E 151 12.5");
+        expect(candidates.length).toBe(1);
+        expectPosition(candidates[0], 151.208333, -33.858333, "DMS");
+    });
+
+    it("rejects minutes and seconds out of range", () => {
+        expect(CoordinatesParser.parse("47 60 36 N 8 32 27 E")).toEqual([]);
+        expect(CoordinatesParser.parse("47 22 60 N 8 32 27 E")).toEqual([]);
+    });
+
+    it("interprets plain numbers in the projected CRS", () => {
+        const candidates = CoordinatesParser.parse("2'683'002 / 1'248'093", [{code: "EPSG:2056", label: "CH1903+"}]);
+        expect(candidates).toEqual([{x: 2683002, y: 1248093, crs: "EPSG:2056", bbox: [2683002, 1248093, 2683002, 1248093], interpretation: "CH1903+"}]);
+    });
+});
@@ -9,13 +9,15 @@
 export function customAttributeCalculator(layer, feature) {
     // Here you can dynamically return additional attribute values for the
     // identify dialog, possibly depending on the passed layer and feature.
-    // Return a list of <tr> elements i.e.:
+    // The map context {crs, scale, clickPos, lang, theme} is passed as third argument.
+    // For simple derived values, consider configuring `computedAttributes` instead.
+    // Return a list of entries, or a promise resolving to a list of entries, i.e.:
     //
-    //   return [(
-    //       <tr key="custom-attr">
-    //           <td className="identify-attr-title"><i>Name</i></td>
-    //           <td className="identify-attr-value">Value</td>
-    //       </tr>
-    //   )];
+    //   return axios.get("https://insurance.example.com/buildings/" + feature.properties.EGID).then(response => [
+    //       {title: "Insured value", value: response.data.value, type: "number"},
+    //       {title: "Policy", value: response.data.policy, link: response.data.url}
+    //   ]);
+    //
+    // See js/StructuredAttributes.jsx for the supported entry types.
     return [];
 }
@@ -0,0 +1,120 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Validation of feature attributes and geometries against the field
+ * definitions and constraints of an editConfig.json layer entry, see
+ * test2056_edit.json.
+ */
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === "";
+}
+
+function listValues(constraints) {
+    return (constraints.values || []).map(entry => typeof entry === "object" ? entry.value : entry);
+}
+
+function validateValue(field, value) {
+    const constraints = field.constraints || {};
+    const name = field.name || field.id;
+    if (isEmpty(value)) {
+        return constraints.required ? [name + ": value required"] : [];
+    }
+    const errors = [];
+    if (field.type === "number") {
+        const num = Number(value);
+        if (typeof value === "boolean" || isNaN(num)) {
+            return [name + ": not a number"];
+        }
+        if (constraints.min !== undefined && num < constraints.min) {
+            errors.push(name + ": must be at least " + constraints.min);
+        }
+        if (constraints.max !== undefined && num > constraints.max) {
+            errors.push(name + ": must be at most " + constraints.max);
+        }
+        if (constraints.step !== undefined) {
+            const steps = (num - (constraints.min || 0)) / constraints.step;
+            if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+                errors.push(name + ": must be a multiple of " + constraints.step);
+            }
+        }
+    } else if (field.type === "bool") {
+        if (typeof value !== "boolean") {
+            errors.push(name + ": not a boolean");
+        }
+    } else if (field.type === "list") {
+        if (!listValues(constraints).includes(value)) {
+            errors.push(name + ": must be one of " + listValues(constraints).join(", "));
+        }
+    } else if (field.type === "date") {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+            errors.push(name + ": not a date (YYYY-MM-DD)");
+        }
+    } else {
+        const text = String(value);
+        if (constraints.maxLength !== undefined && text.length > constraints.maxLength) {
+            errors.push(name + ": at most " + constraints.maxLength + " characters allowed");
+        }
+        if (constraints.minLength !== undefined && text.length < constraints.minLength) {
+            errors.push(name + ": at least " + constraints.minLength + " characters required");
+        }
+        if (constraints.pattern !== undefined && !new RegExp("^(?:" + constraints.pattern + ")$").test(text)) {
+            errors.push(name + ": does not match the pattern " + constraints.pattern);
+        }
+    }
+    return errors;
+}
+
+const EditConstraints = {
+    /**
+     * Validates a feature to be written.
+     *
+     * @param editConfig The editConfig entry of the layer
+     * @param feature The GeoJSON feature to write
+     * @param current Optional, the current feature if an existing feature is updated
+     * @return The list of constraint violations, empty if the feature is valid
+     */
+    validate(editConfig, feature, current = null) {
+        const errors = [];
+        if (feature.geometry) {
+            const geomType = feature.geometry.type.replace(/^Multi/, "");
+            if (editConfig.geomType && geomType !== editConfig.geomType) {
+                errors.push("Geometry: must be a " + editConfig.geomType);
+            }
+        } else if (!current) {
+            errors.push("Geometry: geometry required");
+        }
+        if (!editConfig.fields) {
+            // Fields are defined in a Qt Designer form, no constraints to enforce
+            return errors;
+        }
+        const properties = feature.properties || {};
+        const fields = editConfig.fields.reduce((res, field) => ({...res, [field.id]: field}), {});
+        Object.keys(properties).forEach(key => {
+            if (!fields[key]) {
+                errors.push(key + ": unknown field");
+            }
+        });
+        editConfig.fields.forEach(field => {
+            const constraints = field.constraints || {};
+            const currentValue = current ? (current.properties || {})[field.id] : undefined;
+            if (constraints.readOnly) {
+                if (field.id in properties && properties[field.id] !== currentValue && !(isEmpty(properties[field.id]) && isEmpty(currentValue))) {
+                    errors.push((field.name || field.id) + ": field is read-only");
+                }
+                return;
+            }
+            const value = field.id in properties ? properties[field.id] : currentValue;
+            errors.push(...validateValue(field, value));
+        });
+        return errors;
+    }
+};
+
+export default EditConstraints;
@@ -0,0 +1,269 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Small, safe expression language for configurable computed values.
+ *
+ * Expressions consist of number, string ('...' or "..."), true/false/null
+ * literals, variable names, function calls, parentheses and the operators
+ * `?:`, `||`, `&&`, `==`, `!=`, `<`, `<=`, `>`, `>=`, `+`, `-`, `*`, `/`,
+ * `%` and `!`, with the usual precedence. Variables and functions are looked
+ * up in the dictionaries passed to `evaluate`, nothing else is accessible.
+ *
+ * Templates are strings with embedded `{expression}` placeholders.
+ */
+
+const KEYWORDS = new Map([["true", true], ["false", false], ["null", null]]);
+const OPERATORS = ["||", "&&", "==", "!=", "<=", ">=", "<", ">", "+", "-", "*", "/", "%", "!", "?", ":", "(", ")", ","];
+
+function tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+    while (pos < text.length) {
+        const c = text[pos];
+        if (/\s/.test(c)) {
+            ++pos;
+        } else if (/[0-9.]/.test(c)) {
+            const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(pos));
+            if (!match) {
+                throw new Error("Invalid number at position " + pos);
+            }
+            tokens.push({type: "literal", value: parseFloat(match[0])});
+            pos += match[0].length;
+        } else if (c === '"' || c === "'") {
+            let value = "";
+            let end = pos + 1;
+            while (end < text.length && text[end] !== c) {
+                if (text[end] === "\\" && end + 1 < text.length) {
+                    ++end;
+                }
+                value += text[end++];
+            }
+            if (end >= text.length) {
+                throw new Error("Unterminated string at position " + pos);
+            }
+            tokens.push({type: "literal", value: value});
+            pos = end + 1;
+        } else if (/[\p{L}_$]/u.test(c)) {
+            const name = /^[\p{L}\p{N}_$]+/u.exec(text.slice(pos))[0];
+            if (KEYWORDS.has(name)) {
+                tokens.push({type: "literal", value: KEYWORDS.get(name)});
+            } else {
+                tokens.push({type: "name", value: name});
+            }
+            pos += name.length;
+        } else {
+            const rest = text.slice(pos);
+            const op = OPERATORS.find(entry => rest.startsWith(entry));
+            if (!op) {
+                throw new Error("Unexpected character '" + c + "' at position " + pos);
+            }
+            tokens.push({type: "op", value: op});
+            pos += op.length;
+        }
+    }
+    return tokens;
+}
+
+// Binary operators by ascending precedence
+const BINARY_LEVELS = [["||"], ["&&"], ["==", "!="], ["<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && token.type === "op" && token.value === value;
+    }
+    expect(value) {
+        if (!this.peek(value)) {
+            throw new Error("Expected '" + value + "'");
+        }
+        ++this.pos;
+    }
+    parseExpression() {
+        const cond = this.parseBinary(0);
+        if (this.peek("?")) {
+            ++this.pos;
+            const then = this.parseExpression();
+            this.expect(":");
+            const otherwise = this.parseExpression();
+            return {type: "cond", cond: cond, then: then, otherwise: otherwise};
+        }
+        return cond;
+    }
+    parseBinary(level) {
+        if (level >= BINARY_LEVELS.length) {
+            return this.parseUnary();
+        }
+        let left = this.parseBinary(level + 1);
+        let op = BINARY_LEVELS[level].find(entry => this.peek(entry));
+        while (op) {
+            ++this.pos;
+            left = {type: "binary", op: op, left: left, right: this.parseBinary(level + 1)};
+            op = BINARY_LEVELS[level].find(entry => this.peek(entry));
+        }
+        return left;
+    }
+    parseUnary() {
+        if (this.peek("!") || this.peek("-")) {
+            const op = this.tokens[this.pos++].value;
+            return {type: "unary", op: op, arg: this.parseUnary()};
+        }
+        return this.parsePrimary();
+    }
+    parsePrimary() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new Error("Unexpected end of expression");
+        } else if (token.type === "literal") {
+            return {type: "literal", value: token.value};
+        } else if (token.type === "name") {
+            if (!this.peek("(")) {
+                return {type: "variable", name: token.value};
+            }
+            ++this.pos;
+            const args = [];
+            if (!this.peek(")")) {
+                args.push(this.parseExpression());
+                while (this.peek(",")) {
+                    ++this.pos;
+                    args.push(this.parseExpression());
+                }
+            }
+            this.expect(")");
+            return {type: "call", name: token.value, args: args};
+        } else if (token.value === "(") {
+            const expr = this.parseExpression();
+            this.expect(")");
+            return expr;
+        }
+        throw new Error("Unexpected '" + token.value + "'");
+    }
+}
+
+function lookup(dict, name) {
+    return Object.prototype.hasOwnProperty.call(dict, name) ? dict[name] : undefined;
+}
+
+function evaluateNode(node, variables, functions) {
+    switch (node.type) {
+    case "literal":
+        return node.value;
+    case "variable": {
+        const value = lookup(variables, node.name);
+        return value === undefined ? null : value;
+    }
+    case "call": {
+        const func = lookup(functions, node.name);
+        if (typeof func !== "function") {
+            throw new Error("Unknown function " + node.name);
+        }
+        return func(...node.args.map(arg => evaluateNode(arg, variables, functions)));
+    }
+    case "cond":
+        return evaluateNode(node.cond, variables, functions) ?
+            evaluateNode(node.then, variables, functions) :
+            evaluateNode(node.otherwise, variables, functions);
+    case "unary": {
+        const arg = evaluateNode(node.arg, variables, functions);
+        return node.op === "!" ? !arg : -arg;
+    }
+    default:
+        break;
+    }
+    // Binary operators, with short-circuit evaluation of || and &&
+    const left = evaluateNode(node.left, variables, functions);
+    if (node.op === "||") {
+        return left || evaluateNode(node.right, variables, functions);
+    } else if (node.op === "&&") {
+        return left && evaluateNode(node.right, variables, functions);
+    }
+    const right = evaluateNode(node.right, variables, functions);
+    switch (node.op) {
+    case "==": return left === right;
+    case "!=": return left !== right;
+    case "<": return left < right;
+    case "<=": return left <= right;
+    case ">": return left > right;
+    case ">=": return left >= right;
+    case "+": return left + right;
+    case "-": return left - right;
+    case "*": return left * right;
+    case "/": return left / right;
+    default: return left % right;
+    }
+}
+
+// Parsed expressions, by expression text
+const cache = new Map();
+
+const ExpressionEngine = {
+    parse(text) {
+        if (!cache.has(text)) {
+            const parser = new Parser(tokenize(text));
+            const ast = parser.parseExpression();
+            if (parser.pos < parser.tokens.length) {
+                throw new Error("Unexpected '" + parser.tokens[parser.pos].value + "'");
+            }
+            cache.set(text, ast);
+        }
+        return cache.get(text);
+    },
+    /**
+     * Evaluates an expression.
+     *
+     * @param text The expression
+     * @param variables The dictionary of variables
+     * @param functions The dictionary of functions
+     * @return The value of the expression. Throws an error if the expression is invalid.
+     */
+    evaluate(text, variables = {}, functions = {}) {
+        return evaluateNode(ExpressionEngine.parse(text), variables, functions);
+    },
+    /**
+     * Replaces the `{expression}` placeholders in a template with the expression values.
+     *
+     * @param escape Optional function applied to the expression values, i.e. to escape them
+     */
+    evaluateTemplate(template, variables = {}, functions = {}, escape = null) {
+        let result = "";
+        let pos = 0;
+        while (pos < template.length) {
+            const start = template.indexOf("{", pos);
+            if (start < 0) {
+                break;
+            }
+            // Find the closing brace, skipping quoted strings
+            let end = start + 1;
+            let quote = null;
+            while (end < template.length && (quote || template[end] !== "}")) {
+                if (quote && template[end] === "\\") {
+                    ++end;
+                } else if (quote && template[end] === quote) {
+                    quote = null;
+                } else if (!quote && (template[end] === '"' || template[end] === "'")) {
+                    quote = template[end];
+                }
+                ++end;
+            }
+            if (end >= template.length) {
+                throw new Error("Unterminated placeholder at position " + start);
+            }
+            const value = ExpressionEngine.evaluate(template.slice(start + 1, end), variables, functions);
+            const text = value === null || value === undefined ? "" : value;
+            result += template.slice(pos, start) + (escape ? escape(text) : text);
+            pos = end + 1;
+        }
+        return result + template.slice(pos);
+    }
+};
+
+export default ExpressionEngine;
@@ -0,0 +1,158 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import {LayerRole} from 'qwc2/actions/layers';
+import {CONFIGURE_MAP} from 'qwc2/actions/map';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import ServiceLayerUtils from 'qwc2/utils/ServiceLayerUtils';
+import CapabilitiesCache from './CapabilitiesCache';
+import LayerRestoreReport from './LayerRestoreReport';
+
+/**
+ * Restores the external layers of a permalink (`l` url parameter), see
+ * `externalLayerRestorer` in appConfig.js.
+ *
+ * The services are queried in parallel. The parsed capabilities are cached in
+ * IndexedDB, see CapabilitiesCache.js. Layers whose service does not respond
+ * within the timeout or which are not contained in the capabilities are
+ * removed and reported to the LayerRestore plugin.
+ *
+ * The settings can be adjusted in the `externalLayerRestoreOptions` entry of
+ * config.json, i.e. `{"cacheTtl": 3600000, "timeout": 5000}`.
+ */
+
+const DEFAULT_OPTIONS = {
+    cacheTtl: 86400000,
+    timeout: 10000
+};
+
+// The map projection, tracked through the actionLogger
+let mapCrs = null;
+
+function findLayer(layers, name) {
+    for (const layer of layers || []) {
+        if (layer.name === name) {
+            return layer;
+        }
+        const match = findLayer(layer.sublayers, name);
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+}
+
+function capabilitiesUrl(type, serviceUrl) {
+    if (type === "wmts") {
+        // The WMTS service url references the capabilities document
+        return serviceUrl;
+    }
+    const baseUrl = serviceUrl.replace(/[?&]$/, "");
+    return baseUrl + (baseUrl.includes("?") ? "&" : "?") + "SERVICE=" + type.toUpperCase() + "&REQUEST=GetCapabilities";
+}
+
+function parseCapabilities(type, data, serviceUrl) {
+    if (type === "wms") {
+        return ServiceLayerUtils.getWMSLayers(data, serviceUrl, true);
+    } else if (type === "wmts") {
+        return ServiceLayerUtils.getWMTSLayers(data, serviceUrl, mapCrs);
+    } else if (type === "wfs") {
+        return ServiceLayerUtils.getWFSLayers(data, serviceUrl, mapCrs);
+    }
+    throw new Error("Unsupported service type " + type);
+}
+
+function fetchCapabilities(type, serviceUrl, options) {
+    // WMTS and WFS layers are parsed for the map projection
+    const key = type + ":" + serviceUrl + (type === "wms" ? "" : "|" + mapCrs);
+    return CapabilitiesCache.get(key, options.cacheTtl).then(cached => {
+        if (cached) {
+            return cached;
+        }
+        return axios.get(capabilitiesUrl(type, serviceUrl), {timeout: options.timeout}).then(response => {
+            const layers = parseCapabilities(type, response.data, serviceUrl);
+            CapabilitiesCache.set(key, layers);
+            return layers;
+        });
+    });
+}
+
+function withTimeout(promise, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error("Timeout")), timeout);
+        promise.then(result => {
+            clearTimeout(timer);
+            resolve(result);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+function layerLabel(layerConfig, serviceUrl) {
+    try {
+        return layerConfig.name + " (" + new URL(serviceUrl).hostname + ")";
+    } catch (e) {
+        return layerConfig.name + " (" + serviceUrl + ")";
+    }
+}
+
+const ExternalLayerRestorer = {
+    /**
+     * The `externalLayerRestorer` for appConfig.js.
+     *
+     * @param externalLayers A dictionary {"<type>:<serviceUrl>": [<layerConfig>, ...]}
+     * @param themes The themes
+     * @param callback Invoked with the id of the placeholder layer and the
+     *        restored layer, or null if the layer could not be restored
+     */
+    restore(externalLayers, themes, callback) {
+        const options = {...DEFAULT_OPTIONS, ...ConfigUtils.getConfigProp("externalLayerRestoreOptions")};
+        const services = Object.entries(externalLayers).map(([key, layerConfigs]) => {
+            const type = key.slice(0, key.indexOf(":"));
+            const serviceUrl = key.slice(type.length + 1);
+            return withTimeout(fetchCapabilities(type, serviceUrl, options), options.timeout).then(layers => {
+                return layerConfigs.filter(layerConfig => {
+                    const layer = findLayer(layers, layerConfig.name);
+                    if (layer) {
+                        callback(layerConfig.id, {
+                            ...layer,
+                            id: layerConfig.id,
+                            opacity: layerConfig.opacity,
+                            visibility: layerConfig.visibility,
+                            role: LayerRole.USERLAYER,
+                            sublayers: null
+                        });
+                    } else {
+                        callback(layerConfig.id, null);
+                    }
+                    return !layer;
+                });
+            }).catch(() => {
+                // Unreachable service, invalid capabilities or timeout: the layers are reported as missing
+                layerConfigs.forEach(layerConfig => callback(layerConfig.id, null));
+                return layerConfigs;
+            }).then(failed => failed.map(layerConfig => layerLabel(layerConfig, serviceUrl)));
+        });
+        Promise.all(services).then(failed => {
+            const missing = [].concat(...failed);
+            if (missing.length > 0) {
+                LayerRestoreReport.report([], missing);
+            }
+        });
+    },
+    handleAction(action) {
+        if (action.type === CONFIGURE_MAP) {
+            mapCrs = action.crs;
+        }
+    }
+};
+
+export default ExternalLayerRestorer;
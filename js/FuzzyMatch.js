@@ -0,0 +1,97 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Tolerant text matching helpers used by the local search providers.
+ *
+ * Texts are compared case and accent insensitively, word by word. A query
+ * term matches a word exactly, as a prefix, as a substring or, for longer
+ * terms, within a small edit distance.
+ */
+
+function allowedEdits(term) {
+    if (term.length >= 8) {
+        return 2;
+    }
+    return term.length >= 4 ? 1 : 0;
+}
+
+const FuzzyMatch = {
+    normalize(text) {
+        return String(text === undefined || text === null ? "" : text)
+            .normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    },
+    tokenize(text) {
+        return FuzzyMatch.normalize(text).split(/[^\p{L}\p{N}]+/u).filter(word => word);
+    },
+    /**
+     * Levenshtein distance between a and b, or max + 1 if it exceeds max.
+     */
+    distance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+        let prev = Array.from({length: b.length + 1}, (x, idx) => idx);
+        for (let i = 1; i <= a.length; ++i) {
+            const cur = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; ++j) {
+                cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                rowMin = Math.min(rowMin, cur[j]);
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            prev = cur;
+        }
+        return prev[b.length];
+    },
+    /**
+     * Score in [0, 1] of a normalized query term against a normalized word.
+     */
+    termScore(term, word) {
+        if (word === term) {
+            return 1;
+        } else if (word.startsWith(term)) {
+            return 0.8;
+        } else if (term.length >= 3 && word.includes(term)) {
+            return 0.6;
+        }
+        const max = allowedEdits(term);
+        if (max === 0) {
+            return 0;
+        }
+        const dist = Math.min(
+            FuzzyMatch.distance(term, word, max),
+            FuzzyMatch.distance(term, word.slice(0, term.length), max)
+        );
+        return dist <= max ? 0.4 * (1 - dist / (max + 1)) : 0;
+    },
+    /**
+     * Returns the best score of each query term among the specified words.
+     */
+    matchTerms(terms, words) {
+        return terms.map(term => words.reduce((best, word) => Math.max(best, FuzzyMatch.termScore(term, word)), 0));
+    },
+    /**
+     * Score in [0, 1] of a query against a text. All query terms must match.
+     */
+    score(query, text) {
+        const terms = FuzzyMatch.tokenize(query);
+        if (terms.length === 0) {
+            return 0;
+        }
+        const scores = FuzzyMatch.matchTerms(terms, FuzzyMatch.tokenize(text));
+        if (scores.some(score => score === 0)) {
+            return 0;
+        }
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+};
+
+export default FuzzyMatch;
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import FuzzyMatch from './FuzzyMatch';
+import GeoJSONUtils from './GeoJSONUtils';
+
+/**
+ * Static gazetteers, loaded once from a GeoJSON or CSV file and searched
+ * entirely in the browser.
+ *
+ * The gazetteer configuration is the search provider entry of the theme,
+ * see the `gazetteer` provider type in SearchProviders.js.
+ */
+
+// url and field configuration -> promise resolving to the index
+const gazetteers = {};
+
+function resolveUrl(url) {
+    return url.startsWith(":/") ? ConfigUtils.getAssetsPath() + url.substr(1) : url;
+}
+
+function gazetteerFormat(cfg) {
+    if (cfg.format) {
+        return cfg.format;
+    }
+    return cfg.url.toLowerCase().endsWith(".csv") ? "csv" : "geojson";
+}
+
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < text.length; ++i) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") {
+                ++i;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    const header = (rows.shift() || []).map(name => name.trim());
+    return rows.filter(values => values.length > 1 || values[0]).map(values => {
+        return header.reduce((res, name, idx) => ({...res, [name]: values[idx]}), {});
+    });
+}
+
+function csvEntries(cfg, text) {
+    const xField = cfg.xField || "x";
+    const yField = cfg.yField || "y";
+    return parseCsv(text, cfg.csvDelimiter || ",").map(properties => {
+        const x = parseFloat(properties[xField]);
+        const y = parseFloat(properties[yField]);
+        if (isNaN(x) || isNaN(y)) {
+            return null;
+        }
+        return {properties: properties, x: x, y: y, bbox: [x, y, x, y], geometry: null};
+    }).filter(entry => entry);
+}
+
+function geojsonEntries(cfg, data) {
+    return (data.features || []).map(feature => {
+        const bbox = feature.geometry ? GeoJSONUtils.geometryBBox(feature.geometry) : null;
+        if (!bbox) {
+            return null;
+        }
+        return {
+            properties: {id: feature.id, ...feature.properties},
+            x: 0.5 * (bbox[0] + bbox[2]),
+            y: 0.5 * (bbox[1] + bbox[3]),
+            bbox: bbox,
+            geometry: feature.geometry
+        };
+    }).filter(entry => entry);
+}
+
+function wordBigrams(word) {
+    const bigrams = [];
+    for (let i = 0; i < word.length - 1; ++i) {
+        bigrams.push(word.substr(i, 2));
+    }
+    return bigrams;
+}
+
+function buildIndex(cfg, data) {
+    const textField = cfg.textField || "name";
+    const searchFields = cfg.searchFields || [textField];
+    const raw = gazetteerFormat(cfg) === "csv" ? csvEntries(cfg, data) : geojsonEntries(cfg, data);
+    const entries = raw.map((entry, idx) => ({
+        ...entry,
+        id: entry.properties.id !== undefined && entry.properties.id !== "" ? entry.properties.id : idx,
+        text: String(entry.properties[textField] || ""),
+        group: cfg.groupField ? entry.properties[cfg.groupField] : null,
+        words: FuzzyMatch.tokenize(searchFields.map(field => entry.properties[field]).join(" "))
+    }));
+    // Lookup of entry indices by all pairs of consecutive characters of their words
+    const bigrams = {};
+    entries.forEach((entry, idx) => {
+        entry.words.forEach(word => {
+            wordBigrams(word).forEach(bigram => {
+                if (!bigrams[bigram]) {
+                    bigrams[bigram] = new Set();
+                }
+                bigrams[bigram].add(idx);
+            });
+        });
+    });
+    return {entries: entries, bigrams: bigrams};
+}
+
+function scoreEntries(index, candidates, terms) {
+    const results = [];
+    candidates.forEach(idx => {
+        const entry = index.entries[idx];
+        const scores = FuzzyMatch.matchTerms(terms, entry.words);
+        if (scores.every(score => score > 0)) {
+            results.push({entry: entry, score: scores.reduce((sum, score) => sum + score, 0) / scores.length});
+        }
+    });
+    return results;
+}
+
+const Gazetteer = {
+    /**
+     * Loads the gazetteer of the specified provider configuration, once.
+     *
+     * @return A promise resolving to the gazetteer index
+     */
+    load(cfg) {
+        const url = resolveUrl(cfg.url);
+        // The index depends on the fields, which may differ between providers sharing the file
+        const key = JSON.stringify([url, gazetteerFormat(cfg), cfg.textField, cfg.searchFields, cfg.groupField, cfg.xField, cfg.yField, cfg.csvDelimiter]);
+        if (!gazetteers[key]) {
+            const responseType = gazetteerFormat(cfg) === "csv" ? "text" : "json";
+            gazetteers[key] = axios.get(url, {responseType: responseType}).then(response => buildIndex(cfg, response.data));
+            // Retry on the next search if loading failed
+            gazetteers[key].catch(() => {
+                delete gazetteers[key];
+            });
+        }
+        return gazetteers[key];
+    },
+    /**
+     * Searches the gazetteer index.
+     *
+     * @return The best matching entries, sorted by descending score
+     */
+    search(index, text, limit = 20) {
+        const terms = FuzzyMatch.tokenize(text);
+        if (terms.length === 0) {
+            return [];
+        }
+        // Narrow down the candidates to the entries sharing a character pair with
+        // the longest term, which includes words containing the term. Fall back
+        // to a full scan for single character terms and to tolerate further typos
+        const longest = terms.reduce((res, term) => term.length > res.length ? term : res, "");
+        const candidates = new Set();
+        wordBigrams(longest).forEach(bigram => (index.bigrams[bigram] || []).forEach(idx => candidates.add(idx)));
+        let results = scoreEntries(index, candidates, terms);
+        if (results.length === 0) {
+            results = scoreEntries(index, index.entries.map((entry, idx) => idx), terms);
+        }
+        results.sort((a, b) => (b.score - a.score) || a.entry.text.localeCompare(b.entry.text));
+        return results.slice(0, limit).map(result => result.entry);
+    }
+};
+
+export default Gazetteer;
@@ -0,0 +1,35 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+const GeoJSONUtils = {
+    /**
+     * Returns the [xmin, ymin, xmax, ymax] extent of a GeoJSON geometry,
+     * or null if the geometry is empty.
+     */
+    geometryBBox(geometry) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const collect = (coordinates) => {
+            if (typeof coordinates[0] === "number") {
+                bbox[0] = Math.min(bbox[0], coordinates[0]);
+                bbox[1] = Math.min(bbox[1], coordinates[1]);
+                bbox[2] = Math.max(bbox[2], coordinates[0]);
+                bbox[3] = Math.max(bbox[3], coordinates[1]);
+            } else {
+                coordinates.forEach(collect);
+            }
+        };
+        if (geometry.type === "GeometryCollection") {
+            geometry.geometries.forEach(geom => collect(geom.coordinates));
+        } else {
+            collect(geometry.coordinates);
+        }
+        return isFinite(bbox[0]) ? bbox : null;
+    }
+};
+
+export default GeoJSONUtils;
@@ -7,7 +7,209 @@
  */
 
 import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {setCurrentTask} from 'qwc2/actions/task';
+import Icon from 'qwc2/components/Icon';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import HelpContent from './HelpContent';
+import OnboardingTours from './OnboardingTours';
+import './style/Help.css';
+
+/**
+ * Help browser with a table of contents and a full text search over the
+ * help pages of the current theme, see HelpContent.js.
+ */
+class HelpBrowser extends React.Component {
+    static propTypes = {
+        locale: PropTypes.string,
+        setCurrentTask: PropTypes.func,
+        task: PropTypes.string,
+        theme: PropTypes.object
+    }
+    state = {
+        manifest: null,
+        error: false,
+        pageId: null,
+        page: null,
+        filter: "",
+        results: null
+    }
+    componentDidMount() {
+        this.loadManifest();
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.theme !== prevProps.theme || this.props.locale !== prevProps.locale) {
+            this.loadManifest();
+        } else if (this.props.task === "Help" && prevProps.task !== "Help" && this.state.manifest) {
+            const pageId = HelpContent.takeRequestedPage();
+            if (pageId) {
+                this.showPage(pageId);
+            }
+        }
+    }
+    loadManifest = () => {
+        HelpContent.loadManifest(this.props.theme).then(manifest => {
+            const pages = HelpContent.themePages(manifest, this.props.theme);
+            let pageId = HelpContent.takeRequestedPage() || this.state.pageId;
+            if (!pages.find(page => page.id === pageId)) {
+                pageId = pages.length > 0 ? pages[0].id : null;
+            }
+            this.setState({manifest: manifest, error: false, filter: "", results: null});
+            this.showPage(pageId);
+        }).catch(() => {
+            this.setState({manifest: null, error: true});
+        });
+    }
+    showPage = (pageId) => {
+        const page = (this.state.manifest.pages || []).find(entry => entry.id === pageId);
+        this.setState({pageId: pageId, page: null, error: false});
+        if (!page) {
+            return;
+        }
+        HelpContent.loadPage(this.state.manifest, page, this.props.locale).then(loaded => {
+            if (this.state.pageId === pageId) {
+                this.setState({page: loaded});
+            }
+        }).catch(() => {
+            if (this.state.pageId === pageId) {
+                this.setState({error: true});
+            }
+        });
+    }
+    render() {
+        if (this.state.error && !this.state.manifest) {
+            return (<div className="help-browser-status">{LocaleUtils.tr("help.loaderror")}</div>);
+        } else if (!this.state.manifest) {
+            return (<div className="help-browser-status">{LocaleUtils.tr("help.loading")}</div>);
+        }
+        return (
+            <div className="help-browser">
+                <div className="help-browser-filter">
+                    <input onChange={ev => this.search(ev.target.value)} placeholder={LocaleUtils.tr("help.search")} type="text" value={this.state.filter} />
+                    {this.state.filter ? (<Icon icon="remove" onClick={() => this.search("")} />) : null}
+                </div>
+                {this.state.results ? this.renderResults() : this.renderContents()}
+                {this.state.results ? null : this.renderTours()}
+                {this.renderPage()}
+                {this.renderVersion()}
+            </div>
+        );
+    }
+    renderContents = () => {
+        return (
+            <div className="help-browser-toc">
+                <div className="help-browser-title">{LocaleUtils.tr("help.contents")}</div>
+                <ul>
+                    {HelpContent.themePages(this.state.manifest, this.props.theme).map(page => (
+                        <li className={page.id === this.state.pageId ? "help-browser-active" : ""} key={page.id} onClick={() => this.showPage(page.id)}>
+                            {HelpContent.pageTitle(this.state.manifest, page, this.props.locale)}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    }
+    renderTours = () => {
+        const tours = OnboardingTours.themeTours(this.props.theme);
+        if (tours.length === 0) {
+            return null;
+        }
+        return (
+            <div className="help-browser-toc">
+                <div className="help-browser-title">{LocaleUtils.tr("help.tours")}</div>
+                <ul>
+                    {tours.map(tour => (
+                        <li key={tour.id} onClick={() => this.startTour(tour.id)}>
+                            {tour.titlemsgid ? LocaleUtils.tr(tour.titlemsgid) : (tour.title || tour.id)}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        );
+    }
+    renderResults = () => {
+        let body = null;
+        if (this.state.results.length === 0) {
+            body = (<div className="help-browser-status">{LocaleUtils.tr("help.noresults")}</div>);
+        } else {
+            body = (
+                <ul>
+                    {this.state.results.map(result => (
+                        <li className={result.id === this.state.pageId ? "help-browser-active" : ""} key={result.id} onClick={() => this.showPage(result.id)}>
+                            <div>{result.title}</div>
+                            <div className="help-browser-excerpt">{result.excerpt}</div>
+                        </li>
+                    ))}
+                </ul>
+            );
+        }
+        return (
+            <div className="help-browser-toc">
+                <div className="help-browser-title">{LocaleUtils.tr("help.results")}</div>
+                {body}
+            </div>
+        );
+    }
+    renderPage = () => {
+        let body = null;
+        if (this.state.error) {
+            body = (<div className="help-browser-status">{LocaleUtils.tr("help.loaderror")}</div>);
+        } else if (!this.state.pageId) {
+            body = (<div className="help-browser-status">{LocaleUtils.tr("help.nopages")}</div>);
+        } else if (!this.state.page) {
+            body = (<div className="help-browser-status">{LocaleUtils.tr("help.loading")}</div>);
+        } else {
+            body = (<div dangerouslySetInnerHTML={{__html: this.state.page.html}} onClick={this.pageClicked} />);
+        }
+        return (<div className="help-browser-page">{body}</div>);
+    }
+    renderVersion = () => {
+        const buildDate = process.env.BUILD_DATE ? new Date(process.env.BUILD_DATE) : null;
+        return (
+            <div className="help-browser-version">
+                {LocaleUtils.tr("help.version")}: {process.env.APP_VERSION || "-"}
+                {buildDate ? ", " + LocaleUtils.tr("help.builddate") + ": " + buildDate.toLocaleString(this.props.locale) : ""}
+            </div>
+        );
+    }
+    startTour = (tourId) => {
+        this.props.setCurrentTask(null);
+        OnboardingTours.start(tourId);
+    }
+    pageClicked = (ev) => {
+        const link = ev.target.closest("a[data-help-page]");
+        if (link) {
+            ev.preventDefault();
+            this.search("");
+            this.showPage(link.getAttribute("data-help-page"));
+        }
+    }
+    search = (text) => {
+        this.setState({filter: text, results: text.trim() ? this.state.results : null});
+        if (!text.trim()) {
+            return;
+        }
+        const manifest = this.state.manifest;
+        const promises = HelpContent.themePages(manifest, this.props.theme).map(page => {
+            return HelpContent.loadPage(manifest, page, this.props.locale).catch(() => null);
+        });
+        Promise.all(promises).then(loaded => {
+            if (this.state.filter === text) {
+                this.setState({results: HelpContent.search(loaded.filter(page => page), text)});
+            }
+        });
+    }
+}
+
+const ConnectedHelpBrowser = connect((state) => ({
+    locale: state.locale.current,
+    task: state.task.id,
+    theme: state.theme.current
+}), {
+    setCurrentTask: setCurrentTask
+})(HelpBrowser);
 
 export function renderHelp() {
-    return (<div>Help</div>);
+    return (<ConnectedHelpBrowser />);
 }
@@ -0,0 +1,282 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import FuzzyMatch from './FuzzyMatch';
+
+/**
+ * Loads the localized help pages listed in the help manifest.
+ *
+ * The manifest (`helpManifest` config setting, default `:/help/help.json`)
+ * lists the available locales and the pages, see the documentation. Pages
+ * are Markdown (`.md`) or HTML (`.html`) files located at
+ * `<locale>/<file>` relative to the manifest.
+ */
+
+// url -> promise resolving to the manifest
+const manifests = {};
+// url -> promise resolving to the page
+const pages = {};
+// Page requested by a contextual help link, displayed when the help is next shown
+let requestedPage = null;
+
+function resolveUrl(url) {
+    return url.startsWith(":/") ? ConfigUtils.getAssetsPath() + url.substr(1) : url;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function resolveLink(href, baseUrl) {
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(href)) {
+        // Only allow safe protocols in absolute urls
+        return /^(https?:|mailto:|\/|#)/i.test(href) ? href : "#";
+    }
+    return baseUrl + href;
+}
+
+function formatInline(text, baseUrl) {
+    // Code spans are extracted first so that their content is not formatted
+    const codes = [];
+    text = text.replace(/`([^`]+)`/g, (match, code) => {
+        codes.push(code);
+        return "\uE000" + (codes.length - 1) + "\uE000";
+    });
+    text = text.replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => '<img alt="' + alt + '" src="' + resolveLink(src, baseUrl) + '" />');
+    text = text.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+        if (href.startsWith("help:")) {
+            return '<a href="#" data-help-page="' + href.substr(5) + '">' + label + '</a>';
+        }
+        return '<a href="' + resolveLink(href, baseUrl) + '" target="_blank" rel="noopener noreferrer">' + label + '</a>';
+    });
+    text = text.replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>");
+    text = text.replace(/\*([^*]+)\*/g, "<em>$1</em>");
+    return text.replace(/\uE000(\d+)\uE000/g, (match, idx) => "<code>" + codes[idx] + "</code>");
+}
+
+function stripHtml(html) {
+    const div = document.createElement("div");
+    div.innerHTML = html;
+    return div.textContent || "";
+}
+
+const HelpContent = {
+    /**
+     * Loads the help manifest, once.
+     *
+     * @return A promise resolving to the manifest
+     */
+    loadManifest(theme) {
+        const url = resolveUrl(ConfigUtils.getConfigProp("helpManifest", theme) || ":/help/help.json");
+        if (!manifests[url]) {
+            manifests[url] = axios.get(url).then(response => ({
+                locales: ["en-US"],
+                ...response.data,
+                baseUrl: url.slice(0, url.lastIndexOf("/") + 1)
+            }));
+            manifests[url].catch(() => {
+                delete manifests[url];
+            });
+        }
+        return manifests[url];
+    },
+    /**
+     * Returns the manifest locale best matching the specified locale: the
+     * locale itself, a locale of the same language or the first listed locale.
+     */
+    resolveLocale(manifest, lang) {
+        const locales = manifest.locales;
+        if (locales.includes(lang)) {
+            return lang;
+        }
+        const language = (lang || "").split("-")[0];
+        return locales.find(locale => locale.split("-")[0] === language) || locales[0];
+    },
+    /**
+     * Returns the pages applicable to the specified theme, i.e. the pages
+     * without `themes` restriction and those listing the theme id.
+     */
+    themePages(manifest, theme) {
+        return (manifest.pages || []).filter(page => !page.themes || (theme && page.themes.includes(theme.id)));
+    },
+    /**
+     * Returns the page documenting the specified plugin in the specified
+     * theme, preferring theme specific pages.
+     */
+    pluginPage(manifest, theme, plugin) {
+        const candidates = HelpContent.themePages(manifest, theme).filter(page => page.plugin === plugin);
+        return candidates.find(page => page.themes) || candidates[0] || null;
+    },
+    /**
+     * Returns the title of a page, which is either a string or an object
+     * with the titles by locale.
+     */
+    pageTitle(manifest, page, lang) {
+        if (page.title && typeof page.title === "object") {
+            return page.title[HelpContent.resolveLocale(manifest, lang)] || page.title[manifest.locales[0]] || page.id;
+        }
+        return page.title || page.id;
+    },
+    /**
+     * Loads a page in the specified locale, falling back to the first locale
+     * of the manifest if the page is not translated.
+     *
+     * @return A promise resolving to {id, title, html, text}
+     */
+    loadPage(manifest, page, lang) {
+        const locale = HelpContent.resolveLocale(manifest, lang);
+        const url = manifest.baseUrl + locale + "/" + page.file;
+        if (!pages[url]) {
+            pages[url] = axios.get(url, {responseType: "text"}).then(response => {
+                const baseUrl = url.slice(0, url.lastIndexOf("/") + 1);
+                const html = page.file.toLowerCase().endsWith(".md") ? HelpContent.markdownToHtml(response.data, baseUrl) : response.data;
+                return {
+                    id: page.id,
+                    title: HelpContent.pageTitle(manifest, page, lang),
+                    html: html,
+                    text: stripHtml(html)
+                };
+            });
+            pages[url].catch(() => {
+                delete pages[url];
+            });
+        }
+        if (locale === manifest.locales[0]) {
+            return pages[url];
+        }
+        return pages[url].catch(() => HelpContent.loadPage(manifest, page, manifest.locales[0]));
+    },
+    /**
+     * Searches the specified loaded pages.
+     *
+     * @return The matching pages, augmented by their `score` and a text
+     *         `excerpt`, sorted by descending score
+     */
+    search(loadedPages, text) {
+        const terms = FuzzyMatch.tokenize(text);
+        if (terms.length === 0) {
+            return [];
+        }
+        const results = [];
+        loadedPages.forEach(page => {
+            const titleScore = FuzzyMatch.score(text, page.title);
+            const textScore = FuzzyMatch.score(text, page.text);
+            if (titleScore > 0 || textScore > 0) {
+                results.push({...page, score: Math.max(titleScore, 0.8 * textScore), excerpt: HelpContent.excerpt(page.text, terms)});
+            }
+        });
+        results.sort((a, b) => b.score - a.score);
+        return results;
+    },
+    /**
+     * Returns the text around the first occurrence of one of the terms.
+     */
+    excerpt(text, terms, length = 120) {
+        const normalized = FuzzyMatch.normalize(text);
+        const pos = terms.reduce((res, term) => {
+            const idx = normalized.indexOf(term);
+            return idx >= 0 && (res < 0 || idx < res) ? idx : res;
+        }, -1);
+        const start = Math.max(0, pos - length / 3);
+        const excerpt = text.substr(start, length).replace(/\s+/g, " ").trim();
+        return (start > 0 ? "…" : "") + excerpt + (start + length < text.length ? "…" : "");
+    },
+    /**
+     * Converts Markdown to HTML. Supports headings, paragraphs, lists,
+     * fenced code blocks, rules, emphasis, code spans, images and links.
+     * Raw HTML is escaped. Relative urls are resolved against baseUrl,
+     * `help:<id>` links refer to other help pages.
+     */
+    markdownToHtml(markdown, baseUrl = "") {
+        const lines = escapeHtml(markdown.replace(/\r\n?/g, "\n")).split("\n");
+        const html = [];
+        let paragraph = [];
+        let list = null;
+        let code = null;
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push("<p>" + formatInline(paragraph.join(" "), baseUrl) + "</p>");
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                html.push("<" + list.tag + ">" + list.items.map(item => "<li>" + formatInline(item, baseUrl) + "</li>").join("") + "</" + list.tag + ">");
+                list = null;
+            }
+        };
+        lines.forEach(line => {
+            if (code !== null) {
+                if (line.trim().startsWith("```")) {
+                    html.push("<pre><code>" + code.join("\n") + "</code></pre>");
+                    code = null;
+                } else {
+                    code.push(line);
+                }
+                return;
+            }
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            const item = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+            if (line.trim().startsWith("```")) {
+                flushParagraph();
+                flushList();
+                code = [];
+            } else if (heading) {
+                flushParagraph();
+                flushList();
+                const level = heading[1].length;
+                html.push("<h" + level + ">" + formatInline(heading[2], baseUrl) + "</h" + level + ">");
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushParagraph();
+                flushList();
+                html.push("<hr />");
+            } else if (item) {
+                flushParagraph();
+                const tag = /\d/.test(item[1]) ? "ol" : "ul";
+                if (list && list.tag !== tag) {
+                    flushList();
+                }
+                list = list || {tag: tag, items: []};
+                list.items.push(item[2]);
+            } else if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else if (list && /^\s+/.test(line)) {
+                // Continuation of the previous list item
+                list.items[list.items.length - 1] += " " + line.trim();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        if (code !== null) {
+            html.push("<pre><code>" + code.join("\n") + "</code></pre>");
+        }
+        flushParagraph();
+        flushList();
+        return html.join("\n");
+    },
+    /**
+     * Requests the specified page to be displayed the next time the help is shown.
+     */
+    requestPage(pageId) {
+        requestedPage = pageId;
+    },
+    /**
+     * Returns and clears the requested page.
+     */
+    takeRequestedPage() {
+        const pageId = requestedPage;
+        requestedPage = null;
+        return pageId;
+    }
+};
+
+export default HelpContent;
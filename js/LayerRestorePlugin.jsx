@@ -0,0 +1,57 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {addLayer} from 'qwc2/actions/layers';
+import Icon from 'qwc2/components/Icon';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import LayerRestoreReport from './LayerRestoreReport';
+import './style/LayerRestore.css';
+
+/**
+ * Adds the permalink layers restored from other themes to the map, and tells
+ * the user which theme and external layers could not be restored, see
+ * ThemeLayerRestorer.js and ExternalLayerRestorer.js.
+ */
+class LayerRestorePlugin extends React.Component {
+    static propTypes = {
+        addLayer: PropTypes.func
+    }
+    state = {
+        missing: []
+    }
+    componentDidMount() {
+        this.unsubscribe = LayerRestoreReport.subscribe(this.restored);
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+    }
+    restored = (layers, missing) => {
+        layers.forEach(layer => this.props.addLayer(layer));
+        if (missing.length > 0) {
+            this.setState((state) => ({missing: [...state.missing, ...missing.filter(name => !state.missing.includes(name))]}));
+        }
+    }
+    render() {
+        if (this.state.missing.length === 0) {
+            return null;
+        }
+        return (
+            <div className="layer-restore-notice" role="alert">
+                <span>{LocaleUtils.tr("layerrestore.missing", this.state.missing.join(", "))}</span>
+                <Icon icon="remove" onClick={() => this.setState({missing: []})} title={LocaleUtils.tr("window.close")} />
+            </div>
+        );
+    }
+}
+
+export default connect(() => ({}), {
+    addLayer: addLayer
+})(LayerRestorePlugin);
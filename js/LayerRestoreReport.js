@@ -0,0 +1,41 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Passes the outcome of restoring the layers of a permalink from the layer
+ * restorers in appConfig.js, which have no access to the store, to the
+ * LayerRestore plugin.
+ */
+
+const listeners = new Set();
+// Reports issued before the plugin subscribed, i.e. while the app starts up
+let pending = [];
+
+const LayerRestoreReport = {
+    /**
+     * Reports restored layers and layers which could not be restored.
+     *
+     * @param layers Layers to add to the map, in the format accepted by the `addLayer` action
+     * @param missing Names of the layers which could not be restored
+     */
+    report(layers, missing) {
+        if (listeners.size === 0) {
+            pending.push({layers, missing});
+        } else {
+            listeners.forEach(listener => listener(layers, missing));
+        }
+    },
+    subscribe(listener) {
+        listeners.add(listener);
+        pending.forEach(entry => listener(entry.layers, entry.missing));
+        pending = [];
+        return () => listeners.delete(listener);
+    }
+};
+
+export default LayerRestoreReport;
@@ -0,0 +1,95 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import FuzzyMatch from './FuzzyMatch';
+
+/**
+ * Full-text index over the layers and groups of all themes.
+ *
+ * Each entry indexes the title, name, keywords and abstract of a layer,
+ * weighted in this order, and references the layer, its ancestor groups and
+ * its theme.
+ */
+
+const FIELD_WEIGHTS = {
+    title: 1,
+    name: 0.8,
+    keywords: 0.7,
+    abstract: 0.4
+};
+
+function layerKeywords(layer) {
+    if (Array.isArray(layer.keywords)) {
+        return layer.keywords.join(" ");
+    }
+    return layer.keywords || "";
+}
+
+function indexLayers(entries, theme, layers, path, ancestors) {
+    (layers || []).forEach(layer => {
+        const layerPath = [...path, layer.title || layer.name];
+        entries.push({
+            theme: theme,
+            layer: layer,
+            path: layerPath,
+            ancestors: ancestors,
+            words: {
+                title: FuzzyMatch.tokenize(layer.title),
+                name: FuzzyMatch.tokenize(layer.name),
+                keywords: FuzzyMatch.tokenize(layerKeywords(layer)),
+                abstract: FuzzyMatch.tokenize(layer.abstract)
+            }
+        });
+        indexLayers(entries, theme, layer.sublayers, layerPath, [...ancestors, layer]);
+    });
+}
+
+function indexThemeGroup(entries, group) {
+    (group.items || []).forEach(theme => {
+        indexLayers(entries, theme, theme.sublayers, [], []);
+    });
+    (group.subdirs || []).forEach(subdir => indexThemeGroup(entries, subdir));
+}
+
+const LayerSearchIndex = {
+    build(themes) {
+        const entries = [];
+        if (themes) {
+            indexThemeGroup(entries, themes);
+        }
+        return entries;
+    },
+    /**
+     * Returns the best matching index entries, augmented by their `score`,
+     * sorted by descending score.
+     */
+    search(index, text, limit = 20) {
+        const terms = FuzzyMatch.tokenize(text);
+        if (terms.length === 0) {
+            return [];
+        }
+        const results = [];
+        index.forEach(entry => {
+            // Best weighted score of each term across all fields
+            const scores = terms.map(() => 0);
+            Object.keys(FIELD_WEIGHTS).forEach(field => {
+                FuzzyMatch.matchTerms(terms, entry.words[field]).forEach((score, idx) => {
+                    scores[idx] = Math.max(scores[idx], score * FIELD_WEIGHTS[field]);
+                });
+            });
+            if (scores.every(score => score > 0)) {
+                results.push({...entry, score: scores.reduce((sum, score) => sum + score, 0) / scores.length});
+            }
+        });
+        // Prefer shallower layers (i.e. groups) among equally scored entries
+        results.sort((a, b) => (b.score - a.score) || (a.path.length - b.path.length));
+        return results.slice(0, limit);
+    }
+};
+
+export default LayerSearchIndex;
@@ -0,0 +1,157 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {setCurrentTask} from 'qwc2/actions/task';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import OnboardingTours from './OnboardingTours';
+import './style/OnboardingTour.css';
+
+const BUBBLE_WIDTH = 320;
+const BUBBLE_MARGIN = 8;
+
+/**
+ * Guides the user through the onboarding tours of the current theme, see
+ * OnboardingTours.js. Each step highlights the element matching its `target`
+ * selector, optionally after activating the `task` of the step.
+ */
+class OnboardingTourPlugin extends React.Component {
+    static propTypes = {
+        setCurrentTask: PropTypes.func,
+        theme: PropTypes.object
+    }
+    state = {
+        tour: null,
+        step: 0,
+        rect: null
+    }
+    componentDidMount() {
+        this.unsubscribe = OnboardingTours.subscribe(this.startTour);
+        window.addEventListener("keydown", this.onKeyDown);
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+        window.removeEventListener("keydown", this.onKeyDown);
+        clearInterval(this.trackInterval);
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.theme !== prevProps.theme && this.props.theme) {
+            const tour = OnboardingTours.pendingTour(this.props.theme);
+            if (tour) {
+                this.startTour(tour.id);
+            } else if (this.state.tour) {
+                this.endTour(false);
+            }
+        }
+    }
+    startTour = (tourId) => {
+        const tour = OnboardingTours.themeTours(this.props.theme).find(entry => entry.id === tourId);
+        if (tour) {
+            this.showStep(tour, 0);
+        }
+    }
+    showStep = (tour, idx) => {
+        const step = tour.steps[idx];
+        if (step.task || this.tourTask) {
+            this.props.setCurrentTask(step.task || null, step.mode || null);
+            this.tourTask = step.task || null;
+        }
+        // The target may only appear once the task is active, or move
+        clearInterval(this.trackInterval);
+        this.trackInterval = setInterval(this.trackTarget, 250);
+        this.setState({tour: tour, step: idx, rect: null}, this.trackTarget);
+    }
+    trackTarget = () => {
+        const step = this.state.tour ? this.state.tour.steps[this.state.step] : null;
+        const el = step && step.target ? document.querySelector(step.target) : null;
+        const bounds = el ? el.getBoundingClientRect() : null;
+        const rect = bounds && bounds.width > 0 ? [bounds.left, bounds.top, bounds.width, bounds.height] : null;
+        if ((rect || []).join() !== (this.state.rect || []).join()) {
+            this.setState({rect: rect});
+        }
+    }
+    endTour = (completed) => {
+        clearInterval(this.trackInterval);
+        if (completed) {
+            OnboardingTours.markCompleted(this.state.tour.id);
+        }
+        if (this.tourTask) {
+            this.props.setCurrentTask(null);
+            this.tourTask = null;
+        }
+        this.setState({tour: null, step: 0, rect: null});
+    }
+    next = () => {
+        if (this.state.step < this.state.tour.steps.length - 1) {
+            this.showStep(this.state.tour, this.state.step + 1);
+        } else {
+            this.endTour(true);
+        }
+    }
+    back = () => {
+        if (this.state.step > 0) {
+            this.showStep(this.state.tour, this.state.step - 1);
+        }
+    }
+    onKeyDown = (ev) => {
+        if (this.state.tour && ev.key === "Escape") {
+            this.endTour(true);
+        }
+    }
+    render() {
+        if (!this.state.tour) {
+            return null;
+        }
+        const tour = this.state.tour;
+        const step = tour.steps[this.state.step];
+        const last = this.state.step === tour.steps.length - 1;
+        return (
+            <div className="onboarding-tour">
+                {this.renderHighlight()}
+                <div className="onboarding-tour-bubble" style={this.bubblePosition()}>
+                    <div className="onboarding-tour-title">{step.titlemsgid ? LocaleUtils.tr(step.titlemsgid) : step.title}</div>
+                    <div className="onboarding-tour-text">{step.textmsgid ? LocaleUtils.tr(step.textmsgid) : step.text}</div>
+                    <div className="onboarding-tour-buttons">
+                        <span className="onboarding-tour-progress">{(this.state.step + 1) + " / " + tour.steps.length}</span>
+                        <button className="button" onClick={() => this.endTour(true)}>{LocaleUtils.tr("onboardingtour.skip")}</button>
+                        <button className="button" disabled={this.state.step === 0} onClick={this.back}>{LocaleUtils.tr("onboardingtour.back")}</button>
+                        <button className="button button-accept" onClick={this.next}>{LocaleUtils.tr(last ? "onboardingtour.done" : "onboardingtour.next")}</button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+    renderHighlight = () => {
+        if (!this.state.rect) {
+            return (<div className="onboarding-tour-backdrop" />);
+        }
+        const [left, top, width, height] = this.state.rect;
+        const style = {left: (left - 4) + "px", top: (top - 4) + "px", width: (width + 8) + "px", height: (height + 8) + "px"};
+        return (<div className="onboarding-tour-highlight" style={style} />);
+    }
+    bubblePosition = () => {
+        if (!this.state.rect) {
+            return {left: "50%", top: "50%", width: BUBBLE_WIDTH + "px", transform: "translate(-50%, -50%)"};
+        }
+        const [left, top, width, height] = this.state.rect;
+        const x = Math.max(BUBBLE_MARGIN, Math.min(left + 0.5 * width - 0.5 * BUBBLE_WIDTH, window.innerWidth - BUBBLE_WIDTH - BUBBLE_MARGIN));
+        // Below the target if it is in the upper half of the window, above otherwise
+        if (top + 0.5 * height < 0.5 * window.innerHeight) {
+            return {left: x + "px", top: (top + height + 2 * BUBBLE_MARGIN) + "px", width: BUBBLE_WIDTH + "px"};
+        }
+        return {left: x + "px", bottom: (window.innerHeight - top + 2 * BUBBLE_MARGIN) + "px", width: BUBBLE_WIDTH + "px"};
+    }
+}
+
+export default connect((state) => ({
+    theme: state.theme.current
+}), {
+    setCurrentTask: setCurrentTask
+})(OnboardingTourPlugin);
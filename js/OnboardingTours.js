@@ -0,0 +1,74 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+
+/**
+ * Onboarding tours, configured in `onboardingTours` in config.json or in the
+ * theme config. The completed tours are persisted in the browser localStorage.
+ */
+
+const STORAGE_KEY = "qwc2-onboarding-tours";
+const listeners = new Set();
+
+function loadCompleted() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveCompleted(data) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        // Storage disabled or full, the tour is offered again on the next visit
+    }
+}
+
+const OnboardingTours = {
+    /**
+     * Returns the tours applicable to the specified theme.
+     */
+    themeTours(theme) {
+        const tours = ConfigUtils.getConfigProp("onboardingTours", theme) || [];
+        return tours.filter(tour => (tour.steps || []).length > 0 && (!tour.themes || (theme && tour.themes.includes(theme.id))));
+    },
+    isCompleted(tourId) {
+        return loadCompleted()[tourId] !== undefined;
+    },
+    markCompleted(tourId) {
+        saveCompleted({...loadCompleted(), [tourId]: Date.now()});
+    },
+    /**
+     * Returns the first tour of the theme which starts automatically and
+     * was not yet completed, if any.
+     */
+    pendingTour(theme) {
+        return OnboardingTours.themeTours(theme).find(tour => tour.autoStart !== false && !OnboardingTours.isCompleted(tour.id)) || null;
+    },
+    /**
+     * Requests the specified tour to be started, regardless of whether it
+     * was completed.
+     */
+    start(tourId) {
+        listeners.forEach(listener => listener(tourId));
+    },
+    /**
+     * Registers a listener invoked with the tour id when a tour is started.
+     *
+     * @return A function which unregisters the listener
+     */
+    subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+};
+
+export default OnboardingTours;
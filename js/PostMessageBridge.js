@@ -0,0 +1,120 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import APIEvents from './APIEvents';
+
+/**
+ * Exposes the `window.qwc2` API to the embedding page of a cross-origin
+ * iframe (or the opener of a popup window) through `postMessage`.
+ *
+ * Messages are objects with a `qwc2` message type:
+ *
+ * - `{qwc2: "ping"}`: answered with `{qwc2: "ready"}`, which is also sent
+ *    unsolicited once the bridge has started.
+ * - `{qwc2: "call", id, method, args}`: invokes `window.qwc2[method](...args)`
+ *    and answers with `{qwc2: "result", id, result}` once the returned value
+ *    (or promise) is available, or with `{qwc2: "error", id, error}`.
+ *    Arguments of the form `{qwc2callback: <cbid>}`, also nested within
+ *    objects and arrays, are replaced by functions which post
+ *    `{qwc2: "callback", callback: <cbid>, args}` when invoked.
+ * - `{qwc2: "on", id, event}` / `{qwc2: "off", id, event}`: (un)subscribes to
+ *    an API event, which is then posted as `{qwc2: "event", event, payload}`.
+ *    Answered like a call.
+ *
+ * Only messages from the origins listed in `postMessageAllowedOrigins` in
+ * config.json are accepted, other messages are ignored. See assets/js/qwc2-client.js for the client side.
+ */
+
+// source window -> {post, subscriptions: {event: callback}}
+const clients = new Map();
+let started = false;
+
+function serialize(value) {
+    // Drop functions and other values which cannot be posted
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function resolveCallbacks(value, post) {
+    if (Array.isArray(value)) {
+        return value.map(entry => resolveCallbacks(entry, post));
+    } else if (value && typeof value === "object") {
+        if (value.qwc2callback !== undefined) {
+            return (...cbargs) => post({qwc2: "callback", callback: value.qwc2callback, args: serialize(cbargs)});
+        }
+        return Object.keys(value).reduce((res, key) => ({...res, [key]: resolveCallbacks(value[key], post)}), {});
+    }
+    return value;
+}
+
+function invoke(data, client) {
+    const post = client.post;
+    if (data.qwc2 === "call") {
+        const func = window.qwc2[data.method];
+        if (typeof func !== "function") {
+            throw new Error("Unknown method " + data.method);
+        }
+        return func(...resolveCallbacks(data.args || [], post));
+    }
+    if (data.qwc2 === "on" && !client.subscriptions[data.event]) {
+        const forward = (payload) => post({qwc2: "event", event: data.event, payload: serialize(payload)});
+        APIEvents.on(data.event, forward);
+        client.subscriptions[data.event] = forward;
+    } else if (data.qwc2 === "off" && client.subscriptions[data.event]) {
+        APIEvents.off(data.event, client.subscriptions[data.event]);
+        delete client.subscriptions[data.event];
+    }
+    return null;
+}
+
+function handleMessage(ev, allowedOrigins) {
+    const data = ev.data;
+    if (!data || typeof data !== "object" || !data.qwc2 || !ev.source) {
+        return;
+    }
+    if (!allowedOrigins.includes("*") && !allowedOrigins.includes(ev.origin)) {
+        return;
+    }
+    if (!clients.has(ev.source)) {
+        const source = ev.source;
+        // Opaque origins (sandboxed frames, file:// pages) are "null", which is no valid target origin
+        const origin = ev.origin === "null" ? "*" : ev.origin;
+        clients.set(source, {post: (message) => source.postMessage(message, origin), subscriptions: {}});
+    }
+    const client = clients.get(ev.source);
+    if (data.qwc2 === "ping") {
+        client.post({qwc2: "ready"});
+    } else if (["call", "on", "off"].includes(data.qwc2)) {
+        new Promise(resolve => resolve(invoke(data, client))).then(result => {
+            client.post({qwc2: "result", id: data.id, result: serialize(result)});
+        }).catch(error => {
+            client.post({qwc2: "error", id: data.id, error: String(error && error.message ? error.message : error)});
+        });
+    }
+}
+
+const PostMessageBridge = {
+    /**
+     * Starts listening for messages from the specified origins.
+     * Does nothing if the list is empty.
+     */
+    start(allowedOrigins) {
+        if (started || !allowedOrigins || allowedOrigins.length === 0) {
+            return;
+        }
+        started = true;
+        window.addEventListener("message", ev => handleMessage(ev, allowedOrigins));
+        const embedder = window.parent !== window ? window.parent : window.opener;
+        if (embedder) {
+            allowedOrigins.forEach(origin => {
+                embedder.postMessage({qwc2: "ready"}, origin);
+            });
+        }
+    }
+};
+
+export default PostMessageBridge;
@@ -0,0 +1,470 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import QtUiParser from './QtUiParser';
+import './style/QtUiForm.css';
+
+// url -> promise of the parsed form
+const formCache = {};
+
+// Default ranges of the Qt input widgets, which are omitted in .ui files
+const SPINBOX_DEFAULTS = {minimum: 0, maximum: 99, singleStep: 1};
+const DATE_INPUT_TYPES = {QDateEdit: "date", QTimeEdit: "time", QDateTimeEdit: "datetime-local"};
+// Widget class -> render method
+const WIDGET_RENDERERS = {
+    QLabel: "renderLabel",
+    Line: "renderLine",
+    QLineEdit: "renderLineEdit",
+    QTextEdit: "renderTextEdit",
+    QPlainTextEdit: "renderTextEdit",
+    QSpinBox: "renderNumberInput",
+    QDoubleSpinBox: "renderNumberInput",
+    QSlider: "renderNumberInput",
+    QComboBox: "renderComboBox",
+    QCheckBox: "renderCheckBox",
+    QRadioButton: "renderRadioButton",
+    QDateEdit: "renderDateInput",
+    QTimeEdit: "renderDateInput",
+    QDateTimeEdit: "renderDateInput",
+    QGroupBox: "renderGroupBox",
+    QTabWidget: "renderTabWidget"
+};
+// Widgets rendering their contents, or a relation
+const CONTAINER_WIDGETS = ["QWidget", "QFrame", "QScrollArea"];
+// Layout class -> CSS class
+const LAYOUT_CLASSES = {QHBoxLayout: "qtui-hbox", QVBoxLayout: "qtui-vbox", QGridLayout: "qtui-grid", QFormLayout: "qtui-grid"};
+
+function loadForm(url) {
+    if (!formCache[url]) {
+        formCache[url] = axios.get(url, {responseType: "text"}).then(response => {
+            const doc = new DOMParser().parseFromString(response.data, "text/xml");
+            if (doc.getElementsByTagName("parsererror").length > 0) {
+                throw new Error("Invalid XML");
+            }
+            return QtUiParser.parse(doc.documentElement);
+        });
+        formCache[url].catch(() => delete formCache[url]);
+    }
+    return formCache[url];
+}
+
+function withDefault(value, defaultValue) {
+    return value === undefined || value === null ? defaultValue : value;
+}
+
+function plainText(text) {
+    // QLabel texts may be rich text
+    return String(text || "").replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " ").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+function dateInputValue(type, value) {
+    if (value === undefined || value === null || value === "") {
+        return "";
+    }
+    const text = String(value).replace(" ", "T");
+    if (type === "date") {
+        return text.slice(0, 10);
+    } else if (type === "time") {
+        return text.slice(0, 8);
+    }
+    return text.slice(0, 19);
+}
+
+function itemStretch(node) {
+    return node.type === "widget" && ["QLabel", "QCheckBox", "QRadioButton"].includes(node.class) ? 0 : 1;
+}
+
+function columnTemplate(layout, columns) {
+    const stretch = layout.columnStretch.split(",").filter(entry => entry !== "");
+    if (stretch.length > 0) {
+        return Array.from({length: columns}, (x, col) => parseInt(stretch[col], 10) > 0 ? stretch[col] + "fr" : "auto").join(" ");
+    }
+    // Columns of labels take their natural width, the others share the remaining width
+    return Array.from({length: columns}, (x, col) => {
+        const labelsOnly = layout.items.filter(item => item.column === col && item.colspan === 1).every(item => item.child.type === "widget" && item.child.class === "QLabel");
+        return labelsOnly ? "auto" : "1fr";
+    }).join(" ");
+}
+
+/**
+ * Renders Qt Designer .ui forms in the editing dialog, parsed by QtUiParser.js.
+ *
+ * Replaces the QtDesignerForm component of QWC2, see webpack.config.js, and
+ * accepts the same `form`, `values`, `updateField`, `iface` and `readOnly`
+ * props. The relation widgets additionally use the `relationValues`,
+ * `addRelationRecord`, `removeRelationRecord` and `updateRelationField`
+ * props, and relation reference widgets the `switchEditContext` prop.
+ *
+ * The widget names must be equal to the attribute names, except for:
+ * - Radio buttons: either in the button group named `<field>`, with the value
+ *   as widget name, or named `<field>__<value>`.
+ * - Value relation combo boxes: `kvrel__<field>__<table>__<keyfield>__<valuefield>`,
+ *   the entries are queried with `iface.getKeyValues`. Combo boxes with a
+ *   `referencedLayer` dynamic property are relation references and offer
+ *   to open the referenced feature.
+ * - Relation widgets: a QWidget or QFrame named `nrel__<table>__<foreignkeyfield>`,
+ *   containing the widgets of a related record named `<table>__<field>`.
+ *
+ * Check boxes store the values of their `checkedValue` and `uncheckedValue`
+ * dynamic properties, if specified, and booleans otherwise.
+ */
+export default class QtUiForm extends React.Component {
+    static propTypes = {
+        addRelationRecord: PropTypes.func,
+        form: PropTypes.string,
+        iface: PropTypes.object,
+        readOnly: PropTypes.bool,
+        relationValues: PropTypes.object,
+        removeRelationRecord: PropTypes.func,
+        switchEditContext: PropTypes.func,
+        updateField: PropTypes.func,
+        updateRelationField: PropTypes.func,
+        values: PropTypes.object
+    }
+    static defaultProps = {
+        relationValues: {},
+        values: {}
+    }
+    // Other widgets are rendered like containers, other layouts like grid layouts
+    static supportedWidgets = [...Object.keys(WIDGET_RENDERERS), ...CONTAINER_WIDGETS]
+    static supportedLayouts = Object.keys(LAYOUT_CLASSES)
+    state = {
+        form: null,
+        error: false,
+        keyvalues: {},
+        activeTabs: {}
+    }
+    componentDidMount() {
+        this.loadForm();
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.form !== prevProps.form) {
+            this.loadForm();
+        }
+    }
+    componentWillUnmount() {
+        this.unmounted = true;
+    }
+    loadForm = () => {
+        const form = this.props.form || "";
+        const url = form.startsWith(":/") ? ConfigUtils.getAssetsPath() + form.substr(1) : form;
+        this.setState({form: null, error: false, keyvalues: {}, activeTabs: {}});
+        loadForm(url).then(result => {
+            if (this.unmounted || form !== this.props.form) {
+                return;
+            }
+            this.setState({form: result});
+            const relations = QtUiParser.valueRelations(result);
+            if (relations.length > 0 && this.props.iface && this.props.iface.getKeyValues) {
+                this.props.iface.getKeyValues(relations.join(","), (response) => {
+                    if (!this.unmounted && form === this.props.form) {
+                        this.setState({keyvalues: (response || {}).keyvalues || {}});
+                    }
+                });
+            }
+        }).catch(() => {
+            if (!this.unmounted && form === this.props.form) {
+                this.setState({error: true});
+            }
+        });
+    }
+    render() {
+        if (this.state.error) {
+            return (<div className="qtui-form-error">{LocaleUtils.tr("qtuiform.loaderror")}</div>);
+        } else if (!this.state.form) {
+            return null;
+        }
+        const context = {
+            key: "",
+            prefix: "",
+            values: this.props.values,
+            update: (field, value) => this.props.updateField(field, value)
+        };
+        return (
+            <div className="qtui-form">
+                {this.renderContainer(this.state.form, context)}
+            </div>
+        );
+    }
+    renderNode = (node, context, key) => {
+        if (node.type === "layout") {
+            return this.renderLayout(node, context, key);
+        } else if (node.type === "spacer") {
+            return (<div className="qtui-spacer" key={key} />);
+        }
+        return this.renderWidget(node, context, key);
+    }
+    renderContainer = (widget, context) => {
+        if (widget.layout) {
+            return this.renderLayout(widget.layout, context);
+        }
+        return widget.children.map((child, idx) => this.renderWidget(child, context, idx));
+    }
+    renderLayout = (layout, context, key) => {
+        const layoutClass = LAYOUT_CLASSES[layout.class] || "qtui-grid";
+        if (layoutClass !== "qtui-grid") {
+            const stretch = layout.stretch ? layout.stretch.split(",").map(entry => parseInt(entry, 10) || 0) : null;
+            const className = "qtui-layout " + layoutClass;
+            return (
+                <div className={className} key={key}>
+                    {layout.items.map((item, idx) => {
+                        // Without stretch factors, labels take their natural size like in Qt
+                        const factor = stretch ? (stretch[idx] || 0) : itemStretch(item.child);
+                        return (
+                            <div className="qtui-layout-item" key={idx} style={{flex: factor + " " + factor + " auto"}}>
+                                {this.renderNode(item.child, context)}
+                            </div>
+                        );
+                    })}
+                </div>
+            );
+        }
+        // QGridLayout and QFormLayout
+        const columns = layout.items.reduce((res, item) => Math.max(res, item.column + item.colspan), 1);
+        return (
+            <div className="qtui-layout qtui-grid" key={key} style={{gridTemplateColumns: columnTemplate(layout, columns)}}>
+                {layout.items.map((item, idx) => {
+                    const style = {
+                        gridRow: (item.row + 1) + " / span " + item.rowspan,
+                        gridColumn: (item.column + 1) + " / span " + item.colspan
+                    };
+                    return (
+                        <div className="qtui-layout-item" key={idx} style={style}>
+                            {this.renderNode(item.child, context)}
+                        </div>
+                    );
+                })}
+            </div>
+        );
+    }
+    fieldName = (name, context) => {
+        if (!context.prefix) {
+            return name;
+        }
+        return name.startsWith(context.prefix) ? name.substr(context.prefix.length) : null;
+    }
+    renderWidget = (widget, context, key) => {
+        const props = widget.props;
+        const valueRelation = QtUiParser.parseValueRelation(widget.name);
+        const field = this.fieldName(valueRelation ? valueRelation.field : widget.name, context);
+        const value = field !== null ? context.values[field] : undefined;
+        const disabled = this.props.readOnly || props.enabled === false || props.readOnly === true;
+        const readOnly = disabled || field === null;
+        const update = (newValue) => {
+            if (!readOnly) {
+                context.update(field, newValue);
+            }
+        };
+        const common = {disabled: readOnly, name: field || widget.name, title: props.toolTip};
+        const renderer = WIDGET_RENDERERS[widget.class];
+        if (renderer) {
+            return this[renderer](widget, {context, key, common, value, update, disabled, valueRelation});
+        }
+        const relation = QtUiParser.parseRelation(widget.name);
+        if (relation && !context.prefix) {
+            return this.renderRelation(widget, relation, key);
+        }
+        // Containers and unsupported widgets: render the contents
+        return (
+            <div className="qtui-container" key={key}>
+                {this.renderContainer(widget, context)}
+            </div>
+        );
+    }
+    renderLabel = (widget, {key}) => {
+        return (<span className="qtui-label" key={key} title={widget.props.toolTip}>{plainText(widget.props.text)}</span>);
+    }
+    renderLine = (widget, {key}) => {
+        return (<div className={widget.props.orientation === "Qt::Vertical" ? "qtui-vline" : "qtui-hline"} key={key} />);
+    }
+    renderLineEdit = (widget, {key, common, value, update}) => {
+        const props = widget.props;
+        return (
+            <input {...common} key={key} maxLength={props.maxLength} onChange={ev => update(ev.target.value)}
+                placeholder={props.placeholderText} type={props.echoMode === "QLineEdit::Password" ? "password" : "text"} value={withDefault(value, "")} />
+        );
+    }
+    renderTextEdit = (widget, {key, common, value, update}) => {
+        return (<textarea {...common} key={key} onChange={ev => update(ev.target.value)} placeholder={widget.props.placeholderText} value={withDefault(value, "")} />);
+    }
+    renderGroupBox = (widget, {context, key}) => {
+        return (
+            <fieldset className="qtui-groupbox" key={key}>
+                {widget.props.title ? (<legend>{widget.props.title}</legend>) : null}
+                {this.renderContainer(widget, context)}
+            </fieldset>
+        );
+    }
+    renderNumberInput = (widget, {key, common, value, update}) => {
+        const props = widget.props;
+        const decimals = widget.class === "QDoubleSpinBox" ? withDefault(props.decimals, 2) : 0;
+        const min = withDefault(props.minimum, SPINBOX_DEFAULTS.minimum);
+        const max = withDefault(props.maximum, SPINBOX_DEFAULTS.maximum + (decimals > 0 ? 1 - Math.pow(10, -decimals) : 0));
+        const step = withDefault(props.singleStep, decimals > 0 ? Math.pow(10, -decimals) : SPINBOX_DEFAULTS.singleStep);
+        const onChange = (ev) => update(ev.target.value === "" ? null : parseFloat(ev.target.value));
+        if (widget.class === "QSlider") {
+            return (
+                <span className="qtui-slider" key={key}>
+                    <input {...common} max={max} min={min} onChange={onChange} step={step} type="range" value={withDefault(value, min)} />
+                    <span>{withDefault(value, min)}</span>
+                </span>
+            );
+        }
+        return (
+            <span className="qtui-spinbox" key={key}>
+                {props.prefix ? (<span>{props.prefix}</span>) : null}
+                <input {...common} max={max} min={min} onChange={onChange} step={step} type="number" value={withDefault(value, "")} />
+                {props.suffix ? (<span>{props.suffix}</span>) : null}
+            </span>
+        );
+    }
+    renderComboBox = (widget, {key, common, value, update, valueRelation}) => {
+        let options = widget.items.map(item => ({key: item, value: item}));
+        if (valueRelation) {
+            options = this.state.keyvalues[valueRelation.table + ":" + valueRelation.key + ":" + valueRelation.value] || [];
+        }
+        const current = value === undefined || value === null ? "" : String(value);
+        if (widget.props.editable && !valueRelation) {
+            const listId = "qtui-" + widget.name + "-values";
+            return (
+                <span key={key}>
+                    <input {...common} list={listId} onChange={ev => update(ev.target.value)} type="text" value={current} />
+                    <datalist id={listId}>
+                        {options.map(option => (<option key={option.key} value={option.key} />))}
+                    </datalist>
+                </span>
+            );
+        }
+        const select = (
+            <select {...common} onChange={ev => update(this.comboValue(options, ev.target.value))} value={current}>
+                {valueRelation || !options.find(option => String(option.key) === current) ? (<option value="" />) : null}
+                {options.map(option => (<option key={option.key} value={String(option.key)}>{option.value}</option>))}
+            </select>
+        );
+        const referencedLayer = widget.props.referencedLayer;
+        if (!referencedLayer || !this.props.switchEditContext) {
+            return (<span className="qtui-combobox" key={key}>{select}</span>);
+        }
+        return (
+            <span className="qtui-combobox qtui-relationreference" key={key}>
+                {select}
+                <button className="button" disabled={current === ""} onClick={() => this.props.switchEditContext(referencedLayer, value)} type="button">
+                    {LocaleUtils.tr("qtuiform.open")}
+                </button>
+            </span>
+        );
+    }
+    comboValue = (options, selected) => {
+        // Keep the type of the value relation keys
+        const option = options.find(entry => String(entry.key) === selected);
+        return option ? option.key : null;
+    }
+    renderCheckBox = (widget, {key, common, value, update}) => {
+        const checkedValue = withDefault(widget.props.checkedValue, true);
+        const uncheckedValue = withDefault(widget.props.uncheckedValue, false);
+        const checked = value !== undefined && value !== null && String(value) === String(checkedValue);
+        return (
+            <label className="qtui-checkbox" key={key}>
+                <input {...common} checked={checked} onChange={ev => update(ev.target.checked ? checkedValue : uncheckedValue)} type="checkbox" />
+                {widget.props.text}
+            </label>
+        );
+    }
+    renderRadioButton = (widget, {context, key, disabled}) => {
+        // Either grouped by the button group, with the widget name as value, or named <field>__<value>
+        const buttonGroup = widget.attrs.buttonGroup;
+        const sep = widget.name.lastIndexOf("__");
+        let field = null;
+        let option = widget.name;
+        if (buttonGroup) {
+            field = this.fieldName(buttonGroup, context);
+        } else if (sep > 0) {
+            field = this.fieldName(widget.name.slice(0, sep), context);
+            option = widget.name.slice(sep + 2);
+        }
+        const value = field !== null ? context.values[field] : undefined;
+        const checked = value !== undefined && value !== null && String(value) === option;
+        return (
+            <label className="qtui-radiobutton" key={key}>
+                <input checked={checked} disabled={disabled || field === null} name={context.key + (field || widget.name)}
+                    onChange={() => context.update(field, option)} type="radio" />
+                {widget.props.text}
+            </label>
+        );
+    }
+    renderDateInput = (widget, {key, common, value, update}) => {
+        const type = DATE_INPUT_TYPES[widget.class];
+        const props = widget.props;
+        const min = props.minimumDateTime || props.minimumDate || props.minimumTime;
+        const max = props.maximumDateTime || props.maximumDate || props.maximumTime;
+        return (
+            <input {...common} key={key} max={max ? dateInputValue(type, max) : undefined} min={min ? dateInputValue(type, min) : undefined}
+                onChange={ev => update(ev.target.value === "" ? null : ev.target.value)} step={type === "date" ? undefined : 1}
+                type={type} value={dateInputValue(type, value)} />
+        );
+    }
+    renderTabWidget = (widget, {context, key}) => {
+        const active = Math.min(withDefault(this.state.activeTabs[widget.name], widget.props.currentIndex || 0), widget.children.length - 1);
+        return (
+            <div className="qtui-tabwidget" key={key}>
+                <div className="qtui-tabwidget-tabs" role="tablist">
+                    {widget.children.map((page, idx) => (
+                        <span aria-selected={idx === active} className={idx === active ? "qtui-tab qtui-tab-active" : "qtui-tab"} key={idx}
+                            onClick={() => this.setState((state) => ({activeTabs: {...state.activeTabs, [widget.name]: idx}}))} role="tab">
+                            {page.attrs.title || page.name}
+                        </span>
+                    ))}
+                </div>
+                {active >= 0 ? (
+                    <div className="qtui-tabwidget-page" role="tabpanel">
+                        {this.renderContainer(widget.children[active], context)}
+                    </div>
+                ) : null}
+            </div>
+        );
+    }
+    renderRelation = (widget, relation, key) => {
+        const relationValues = this.props.relationValues[relation.table];
+        if (!relationValues) {
+            return (<div className="qtui-relation-unavailable" key={key}>{LocaleUtils.tr("qtuiform.relationunavailable")}</div>);
+        }
+        const editable = !this.props.readOnly && this.props.updateRelationField;
+        return (
+            <div className="qtui-relation" key={key}>
+                {(relationValues.records || []).map((record, idx) => {
+                    const context = {
+                        key: relation.table + ":" + idx + ":",
+                        prefix: relation.table + "__",
+                        values: record,
+                        update: (field, value) => this.props.updateRelationField(relation.table, idx, field, value)
+                    };
+                    return (
+                        <div className="qtui-relation-record" key={idx}>
+                            <div className="qtui-relation-fields">{this.renderContainer(widget, editable ? context : {...context, update: () => {}})}</div>
+                            {editable && this.props.removeRelationRecord ? (
+                                <button className="button" onClick={() => this.props.removeRelationRecord(relation.table, idx)} type="button">
+                                    {LocaleUtils.tr("qtuiform.remove")}
+                                </button>
+                            ) : null}
+                        </div>
+                    );
+                })}
+                {editable && this.props.addRelationRecord ? (
+                    <button className="button" onClick={() => this.props.addRelationRecord(relation.table)} type="button">
+                        {LocaleUtils.tr("qtuiform.add")}
+                    </button>
+                ) : null}
+            </div>
+        );
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import {act, Simulate} from 'react-dom/test-utils';
+import axios from 'axios';
+import QtUiForm from './QtUiForm';
+import QtUiParser from './QtUiParser';
+
+jest.mock('axios');
+jest.mock('qwc2/utils/ConfigUtils', () => ({getAssetsPath: () => "assets"}));
+jest.mock('qwc2/utils/LocaleUtils', () => ({tr: (key) => key}));
+jest.mock('./style/QtUiForm.css', () => ({}));
+
+const rootDir = path.join(__dirname, "..");
+const formsDir = path.join(rootDir, "assets", "forms");
+const fixturesDir = path.join(formsDir, "fixtures");
+
+// The elements rendered for the supported widgets, containers only render their contents
+const WIDGET_ELEMENTS = {
+    QLabel: "span.qtui-label",
+    Line: "div.qtui-hline, div.qtui-vline",
+    QLineEdit: "input[type=text], input[type=password]",
+    QTextEdit: "textarea",
+    QPlainTextEdit: "textarea",
+    QSpinBox: "span.qtui-spinbox > input[type=number]",
+    QDoubleSpinBox: "span.qtui-spinbox > input[type=number]",
+    QSlider: "span.qtui-slider > input[type=range]",
+    QComboBox: "select, input[list]",
+    QCheckBox: "label.qtui-checkbox > input[type=checkbox]",
+    QRadioButton: "label.qtui-radiobutton > input[type=radio]",
+    QDateEdit: "input[type=date]",
+    QTimeEdit: "input[type=time]",
+    QDateTimeEdit: "input[type=datetime-local]",
+    QGroupBox: "fieldset.qtui-groupbox",
+    QTabWidget: "div.qtui-tabwidget",
+    QWidget: null,
+    QFrame: null,
+    QScrollArea: null
+};
+
+function formFiles() {
+    const files = (dir) => fs.readdirSync(dir).filter(name => name.endsWith(".ui")).map(name => path.join(dir, name));
+    return [...files(formsDir), ...files(fixturesDir)];
+}
+
+function parseForm(file) {
+    const doc = new DOMParser().parseFromString(fs.readFileSync(file, "utf8"), "text/xml");
+    return QtUiParser.parse(doc.documentElement);
+}
+
+function collectNodes(node, result = {widgets: [], layouts: []}) {
+    if (node.type === "layout") {
+        result.layouts.push(node);
+        node.items.forEach(item => collectNodes(item.child, result));
+    } else if (node.type === "widget") {
+        result.widgets.push(node);
+        if (node.layout) {
+            collectNodes(node.layout, result);
+        }
+        node.children.forEach(child => collectNodes(child, result));
+    }
+    return result;
+}
+
+function formUrl(file) {
+    return ":/" + path.relative(path.join(rootDir, "assets"), file).split(path.sep).join("/");
+}
+
+async function renderForm(container, props) {
+    await act(async() => {
+        ReactDOM.render(<QtUiForm updateField={() => {}} {...props} />, container);
+        // Let the form load
+        await new Promise(resolve => setTimeout(resolve, 0));
+    });
+}
+
+function visitTabs(container, visit) {
+    // Activates every tab, including the nested ones, and visits the form in each state
+    const activated = new Set();
+    const tabId = (tab) => tab.textContent + ":" + Array.from(tab.parentNode.children).indexOf(tab);
+    const nextTab = () => Array.from(container.querySelectorAll("span.qtui-tab")).find(entry => !activated.has(tabId(entry)));
+    const activate = (tab) => {
+        activated.add(tabId(tab));
+        act(() => Simulate.click(tab));
+    };
+    visit();
+    for (let tab = nextTab(); tab; tab = nextTab()) {
+        activate(tab);
+        visit();
+    }
+}
+
+describe("QtUiForm", () => {
+    let container = null;
+    beforeEach(() => {
+        axios.get.mockImplementation(url => Promise.resolve({data: fs.readFileSync(path.join(rootDir, url), "utf8")}));
+        container = document.createElement("div");
+    });
+    afterEach(() => {
+        ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it("has the expected elements of every supported widget", () => {
+        expect(Object.keys(WIDGET_ELEMENTS).sort()).toEqual([...QtUiForm.supportedWidgets].sort());
+    });
+
+    it("has fixtures covering every supported widget and layout", () => {
+        const nodes = formFiles().filter(file => file.startsWith(fixturesDir)).map(file => collectNodes(parseForm(file)));
+        const widgetClasses = new Set([].concat(...nodes.map(entry => entry.widgets.map(widget => widget.class))));
+        const layoutClasses = new Set([].concat(...nodes.map(entry => entry.layouts.map(layout => layout.class))));
+        expect(QtUiForm.supportedWidgets.filter(cls => !widgetClasses.has(cls))).toEqual([]);
+        expect(QtUiForm.supportedLayouts.filter(cls => !layoutClasses.has(cls))).toEqual([]);
+    });
+
+    formFiles().forEach(file => {
+        it("renders " + path.relative(rootDir, file), async() => {
+            const nodes = collectNodes(parseForm(file));
+            expect(nodes.widgets.map(widget => widget.class).filter(cls => !QtUiForm.supportedWidgets.includes(cls))).toEqual([]);
+            expect(nodes.layouts.map(layout => layout.class).filter(cls => !QtUiForm.supportedLayouts.includes(cls))).toEqual([]);
+
+            // One record for each relation
+            const relationValues = nodes.widgets.map(widget => QtUiParser.parseRelation(widget.name)).filter(relation => relation).reduce((res, relation) => {
+                return {...res, [relation.table]: {records: [{}]}};
+            }, {});
+            await renderForm(container, {form: formUrl(file), relationValues: relationValues, updateRelationField: () => {}});
+            expect(container.querySelector("div.qtui-form")).not.toBeNull();
+
+            const rendered = new Set();
+            visitTabs(container, () => {
+                Object.entries(WIDGET_ELEMENTS).forEach(([cls, selector]) => {
+                    if (selector && container.querySelector(selector)) {
+                        rendered.add(cls);
+                    }
+                });
+            });
+            const expected = new Set(nodes.widgets.map(widget => widget.class).filter(cls => WIDGET_ELEMENTS[cls]));
+            expect([...expected].filter(cls => !rendered.has(cls))).toEqual([]);
+        });
+    });
+
+    it("renders the values and reports changes", async() => {
+        const updateField = jest.fn();
+        await renderForm(container, {form: ":/forms/fixtures/layouts.ui", updateField: updateField, values: {name: "Tower", count: 3}});
+        const input = container.querySelector("input[name=name]");
+        expect(input.value).toBe("Tower");
+        expect(container.querySelector("input[name=count]").value).toBe("3");
+        input.value = "Bridge";
+        act(() => Simulate.change(input));
+        expect(updateField).toHaveBeenCalledWith("name", "Bridge");
+        expect(container.querySelector("input[name=readonly_id]").disabled).toBe(true);
+    });
+
+    it("stores the custom values of check boxes and the values of radio buttons", async() => {
+        const updateField = jest.fn();
+        await renderForm(container, {form: ":/forms/fixtures/checkbox.ui", updateField: updateField, values: {public: "Y", verified: 0, condition: "fair"}});
+        const checkbox = container.querySelector("input[name=public]");
+        expect(checkbox.checked).toBe(true);
+        expect(container.querySelector("input[name=verified]").checked).toBe(false);
+        act(() => Simulate.change(checkbox, {target: {checked: false}}));
+        expect(updateField).toHaveBeenCalledWith("public", "N");
+
+        const radios = Array.from(container.querySelectorAll("input[type=radio]"));
+        expect(radios.filter(radio => radio.name === "condition").map(radio => radio.checked)).toEqual([false, true, false]);
+        act(() => Simulate.change(radios.find(radio => radio.name === "material")));
+        expect(updateField).toHaveBeenCalledWith("material", "wood");
+    });
+
+    it("lists the value relation entries", async() => {
+        const getKeyValues = jest.fn((keys, callback) => callback({
+            keyvalues: {"owners:id:name": [{key: 1, value: "Jane"}, {key: 2, value: "John"}]}
+        }));
+        await renderForm(container, {form: ":/forms/fixtures/valuerelation.ui", iface: {getKeyValues: getKeyValues}, values: {owner_id: 2}});
+        expect(getKeyValues.mock.calls[0][0].split(",").sort()).toEqual(["owners:id:name", "status_codes:id:description"]);
+        const select = container.querySelector("select[name=owner_id]");
+        expect(Array.from(select.options).map(option => option.textContent)).toEqual(["", "Jane", "John"]);
+        expect(select.value).toBe("2");
+    });
+
+    it("renders the records of relations", async() => {
+        const updateRelationField = jest.fn();
+        const relationValues = {inspections: {records: [{remarks: "First"}, {remarks: "Second"}]}};
+        await renderForm(container, {form: ":/forms/fixtures/relations.ui", relationValues: relationValues, updateRelationField: updateRelationField});
+        const records = container.querySelectorAll("div.qtui-relation-record");
+        expect(records.length).toBe(2);
+        const remarks = records[1].querySelector("input[name=remarks]");
+        expect(remarks.value).toBe("Second");
+        remarks.value = "Changed";
+        act(() => Simulate.change(remarks));
+        expect(updateRelationField).toHaveBeenCalledWith("inspections", 1, "remarks", "Changed");
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Parses Qt Designer .ui documents into a tree of widgets and layouts,
+ * rendered by QtUiForm.jsx:
+ *
+ * - Widgets: `{type: "widget", class, name, props, attrs, items, layout, children}`,
+ *   where `props` are the (also dynamic) properties, `attrs` the attributes
+ *   (i.e. the `title` of a tab page), `items` the static combo box entries,
+ *   `layout` the layout and `children` the child widgets without layout
+ *   (i.e. the pages of a tab widget).
+ * - Layouts: `{type: "layout", class, name, props, stretch, columnStretch, items}`,
+ *   where `stretch` and `columnStretch` are the comma separated stretch factors
+ *   of box layouts respectively grid columns, and each item is
+ *   `{row, column, rowspan, colspan, child}`. Items of box layouts are
+ *   numbered along the layout direction.
+ * - Spacers: `{type: "spacer", name, props}`.
+ */
+
+function childElements(el, tagName = null) {
+    return Array.from(el.children).filter(child => !tagName || child.tagName === tagName);
+}
+
+function childElement(el, tagName) {
+    return childElements(el, tagName)[0] || null;
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, "0");
+}
+
+function parseValue(el) {
+    const field = (name) => {
+        const child = childElement(el, name);
+        return child ? parseInt(child.textContent, 10) : 0;
+    };
+    switch (el.tagName) {
+    case "string":
+    case "cstring":
+    case "enum":
+    case "set":
+        return el.textContent;
+    case "number":
+    case "double":
+    case "float":
+        return parseFloat(el.textContent);
+    case "bool":
+        return el.textContent === "true";
+    case "date":
+        return pad(field("year"), 4) + "-" + pad(field("month")) + "-" + pad(field("day"));
+    case "time":
+        return pad(field("hour")) + ":" + pad(field("minute")) + ":" + pad(field("second"));
+    case "datetime":
+        return pad(field("year"), 4) + "-" + pad(field("month")) + "-" + pad(field("day")) + "T" +
+            pad(field("hour")) + ":" + pad(field("minute")) + ":" + pad(field("second"));
+    default:
+        return null;
+    }
+}
+
+function parseProperties(el, tagName) {
+    return childElements(el, tagName).reduce((res, prop) => {
+        const value = prop.children.length > 0 ? parseValue(prop.children[0]) : null;
+        if (value !== null) {
+            res[prop.getAttribute("name")] = value;
+        }
+        return res;
+    }, {});
+}
+
+function intAttribute(el, name, defaultValue) {
+    const value = parseInt(el.getAttribute(name), 10);
+    return isNaN(value) ? defaultValue : value;
+}
+
+function parseLayout(el, widgetParser) {
+    const layoutClass = el.getAttribute("class");
+    const vertical = layoutClass === "QVBoxLayout";
+    const items = childElements(el, "item").map((item, idx) => {
+        const childEl = item.children[0];
+        let child = null;
+        if (childEl && childEl.tagName === "widget") {
+            child = widgetParser(childEl);
+        } else if (childEl && childEl.tagName === "layout") {
+            child = parseLayout(childEl, widgetParser);
+        } else if (childEl && childEl.tagName === "spacer") {
+            child = {type: "spacer", name: childEl.getAttribute("name"), props: parseProperties(childEl, "property")};
+        }
+        let row = intAttribute(item, "row", idx);
+        let column = intAttribute(item, "column", 0);
+        if (layoutClass === "QHBoxLayout" || vertical) {
+            row = vertical ? idx : 0;
+            column = vertical ? 0 : idx;
+        }
+        return {
+            row: row,
+            column: column,
+            rowspan: intAttribute(item, "rowspan", 1),
+            colspan: intAttribute(item, "colspan", 1),
+            child: child
+        };
+    }).filter(item => item.child);
+    return {
+        type: "layout",
+        class: layoutClass,
+        name: el.getAttribute("name"),
+        props: parseProperties(el, "property"),
+        stretch: el.getAttribute("stretch") || "",
+        columnStretch: el.getAttribute("columnstretch") || "",
+        items: items
+    };
+}
+
+function parseWidget(el) {
+    const layoutEl = childElement(el, "layout");
+    return {
+        type: "widget",
+        class: el.getAttribute("class"),
+        name: el.getAttribute("name") || "",
+        props: parseProperties(el, "property"),
+        attrs: parseProperties(el, "attribute"),
+        items: childElements(el, "item").map(item => parseProperties(item, "property").text || ""),
+        layout: layoutEl ? parseLayout(layoutEl, parseWidget) : null,
+        children: childElements(el, "widget").map(child => parseWidget(child))
+    };
+}
+
+/**
+ * Calls the callback for every widget in the tree.
+ */
+function visitWidgets(node, callback) {
+    if (node.type === "widget") {
+        callback(node);
+        node.children.forEach(child => visitWidgets(child, callback));
+        if (node.layout) {
+            visitWidgets(node.layout, callback);
+        }
+    } else if (node.type === "layout") {
+        node.items.forEach(item => visitWidgets(item.child, callback));
+    }
+}
+
+const QtUiParser = {
+    /**
+     * Parses the root `ui` element of a .ui document.
+     *
+     * @return The top level widget
+     */
+    parse(uiElement) {
+        const widgetEl = childElement(uiElement, "widget");
+        if (!widgetEl) {
+            throw new Error("The form contains no widget");
+        }
+        return parseWidget(widgetEl);
+    },
+    /**
+     * Parses the name of a value relation widget, in the format
+     * `kvrel__<field>__<table>__<keyfield>__<valuefield>`. Within relation
+     * widgets, the field is `<reltable>__<field>`.
+     *
+     * @return {field, table, key, value} or null
+     */
+    parseValueRelation(name) {
+        const parts = name.split("__");
+        if (parts.length < 5 || parts[0] !== "kvrel") {
+            return null;
+        }
+        return {field: parts.slice(1, -3).join("__"), table: parts[parts.length - 3], key: parts[parts.length - 2], value: parts[parts.length - 1]};
+    },
+    /**
+     * Parses the name of a relation widget, in the format
+     * `nrel__<table>__<foreignkeyfield>`.
+     *
+     * @return {table, fk} or null
+     */
+    parseRelation(name) {
+        const parts = name.split("__");
+        if (parts.length !== 3 || parts[0] !== "nrel") {
+            return null;
+        }
+        return {table: parts[1], fk: parts[2]};
+    },
+    /**
+     * Returns the value relations of the form, as `<table>:<keyfield>:<valuefield>` strings.
+     */
+    valueRelations(form) {
+        const result = new Set();
+        visitWidgets(form, widget => {
+            const relation = QtUiParser.parseValueRelation(widget.name);
+            if (relation) {
+                result.add(relation.table + ":" + relation.key + ":" + relation.value);
+            }
+        });
+        return [...result];
+    }
+};
+
+export default QtUiParser;
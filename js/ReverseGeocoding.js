@@ -0,0 +1,65 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import CoordinatesUtils from 'qwc2/utils/CoordinatesUtils';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import SearchRequest from './SearchRequest';
+import SearchRunner from './SearchRunner';
+
+let requestCounter = 0;
+
+const ReverseGeocoding = {
+    /**
+     * Returns the search providers of the specified theme which support reverse geocoding.
+     *
+     * @param theme The theme
+     * @param searchProviders The SearchProviders dictionary
+     * @param providerFactory The searchProviderFactory
+     * @param keys Optional, restrict the providers to the specified keys
+     * @return A dictionary {key: provider}
+     */
+    themeProviders(theme, searchProviders, providerFactory, keys = null) {
+        const providers = SearchRunner.themeProviders(theme, searchProviders, providerFactory, keys);
+        return Object.keys(providers).reduce((res, key) => {
+            return providers[key].reverseGeocode ? {...res, [key]: providers[key]} : res;
+        }, {});
+    },
+    /**
+     * Queries the specified providers for the places near a position.
+     *
+     * @param providers A dictionary {key: provider}, see `themeProviders`
+     * @param pos The position [x, y]
+     * @param crs The CRS of the position
+     * @return A promise resolving to the list of result items, sorted by
+     *         distance to the position. Each item is augmented with the
+     *         `distance` in units of `crs`. Failing providers are skipped.
+     */
+    lookup(providers, pos, crs) {
+        const options = {requestId: ++requestCounter, lang: LocaleUtils.lang()};
+        const requests = Object.keys(providers).map(key => {
+            return providers[key].reverseGeocode(pos, crs, options).then(items => items.map(item => {
+                const itempos = CoordinatesUtils.reproject([item.x, item.y], item.crs, crs);
+                const distance = Math.sqrt(Math.pow(itempos[0] - pos[0], 2) + Math.pow(itempos[1] - pos[1], 2));
+                return {...item, provider: key, providerLabel: providers[key].label, distance: distance};
+            })).catch(error => {
+                if (SearchRequest.isCancel(error)) {
+                    throw error;
+                }
+                return [];
+            });
+        });
+        return Promise.all(requests).then(results => {
+            return results.reduce((all, items) => all.concat(items), []).sort((a, b) => a.distance - b.distance);
+        });
+    },
+    isCancel(error) {
+        return SearchRequest.isCancel(error);
+    }
+};
+
+export default ReverseGeocoding;
@@ -0,0 +1,116 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import Icon from 'qwc2/components/Icon';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import ReverseGeocoding from './ReverseGeocoding';
+import './style/ReverseGeocodingTooltip.css';
+
+/**
+ * Augments the MapInfoTooltip plugin with a "What's here?" box listing the
+ * nearest places reported by the reverse geocoding capable search providers
+ * of the current theme.
+ */
+export default function ReverseGeocodingTooltip(MapInfoTooltipPlugin, searchProviders, providerFactory) {
+    class ReverseGeocodingTooltipPlugin extends React.Component {
+        static propTypes = {
+            click: PropTypes.object,
+            mapCrs: PropTypes.string,
+            /* Maximum number of places to display */
+            maxResults: PropTypes.number,
+            /* Optional, restrict the reverse geocoding to the specified provider keys */
+            reverseGeocodingProviders: PropTypes.array,
+            theme: PropTypes.object
+        }
+        static defaultProps = {
+            maxResults: 3
+        }
+        state = {
+            click: null,
+            results: null
+        }
+        componentDidUpdate(prevProps) {
+            const click = this.props.click;
+            if (click === prevProps.click) {
+                return;
+            }
+            if (!click || click.button !== 2) {
+                this.clear();
+                return;
+            }
+            const providers = ReverseGeocoding.themeProviders(this.props.theme, searchProviders, providerFactory, this.props.reverseGeocodingProviders);
+            if (Object.keys(providers).length === 0) {
+                this.clear();
+                return;
+            }
+            this.setState({click: click, results: null});
+            ReverseGeocoding.lookup(providers, click.coordinate, this.props.mapCrs).then(results => {
+                if (this.state.click === click) {
+                    this.setState({results: results.slice(0, this.props.maxResults)});
+                }
+            }).catch(() => {
+                // Superseded by a newer lookup
+            });
+        }
+        render() {
+            // Pass the plugin config props on to the MapInfoTooltip plugin, which connects to the store itself
+            const mapInfoProps = Object.keys(this.props).filter(key => !(key in ReverseGeocodingTooltipPlugin.propTypes)).reduce((res, key) => {
+                res[key] = this.props[key];
+                return res;
+            }, {});
+            return (
+                <React.Fragment>
+                    <MapInfoTooltipPlugin {...mapInfoProps} />
+                    {this.renderResults()}
+                </React.Fragment>
+            );
+        }
+        renderResults = () => {
+            if (!this.state.click) {
+                return null;
+            }
+            let body = null;
+            if (this.state.results === null) {
+                body = (<div className="reverse-geocoding-tooltip-status">{LocaleUtils.tr("reversegeocoding.querying")}</div>);
+            } else if (this.state.results.length === 0) {
+                body = (<div className="reverse-geocoding-tooltip-status">{LocaleUtils.tr("reversegeocoding.noresults")}</div>);
+            } else {
+                body = this.state.results.map(result => (
+                    <div className="reverse-geocoding-tooltip-result" key={result.provider + ":" + result.id}>
+                        <div dangerouslySetInnerHTML={{__html: result.text}} />
+                        <div className="reverse-geocoding-tooltip-provider">{result.providerLabel}</div>
+                    </div>
+                ));
+            }
+            const pixel = this.state.click.pixel;
+            return (
+                <div className="reverse-geocoding-tooltip" style={{left: pixel[0] + "px", top: pixel[1] + "px"}}>
+                    <div className="reverse-geocoding-tooltip-title">
+                        <span>{LocaleUtils.tr("reversegeocoding.title")}</span>
+                        <Icon icon="remove" onClick={this.clear} />
+                    </div>
+                    {body}
+                </div>
+            );
+        }
+        clear = () => {
+            if (this.state.click) {
+                this.setState({click: null, results: null});
+            }
+        }
+    }
+
+    return connect((state) => ({
+        click: state.map.click,
+        mapCrs: state.map.projection,
+        theme: state.theme.current
+    }))(ReverseGeocodingTooltipPlugin);
+}
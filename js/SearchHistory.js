@@ -0,0 +1,130 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import FuzzyMatch from './FuzzyMatch';
+
+/**
+ * Per-theme history of selected search results and pinned favourites,
+ * persisted in the browser localStorage.
+ */
+
+const STORAGE_KEY = "qwc2-search-history";
+const listeners = new Set();
+
+function load() {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function save(data) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    } catch (e) {
+        // Storage disabled or full, the history is kept for this session only
+    }
+    listeners.forEach(listener => listener());
+}
+
+function themeEntries(data, themeId) {
+    return data[themeId || ""] || {recent: [], favourites: []};
+}
+
+function entryKey(entry) {
+    return [entry.text, entry.crs, entry.x, entry.y].join("|");
+}
+
+function plainText(text) {
+    return String(text || "").replace(/<[^>]*>/g, " ");
+}
+
+function update(themeId, callback) {
+    const data = load();
+    data[themeId || ""] = callback(themeEntries(data, themeId));
+    save(data);
+}
+
+const SearchHistory = {
+    get(themeId) {
+        return themeEntries(load(), themeId);
+    },
+    /**
+     * Records a selected location search result as most recent entry. Merged
+     * results are recorded with their original text, without the provider
+     * badges, see SearchResultMerger.js.
+     */
+    record(themeId, result, maxRecent = 20) {
+        const entry = {
+            text: result.sourceText !== undefined ? result.sourceText : result.text,
+            label: result.label,
+            x: result.x,
+            y: result.y,
+            crs: result.crs,
+            bbox: result.bbox,
+            timestamp: Date.now()
+        };
+        update(themeId, entries => ({
+            ...entries,
+            recent: [entry, ...entries.recent.filter(other => entryKey(other) !== entryKey(entry))].slice(0, maxRecent)
+        }));
+    },
+    isFavourite(themeId, entry) {
+        return SearchHistory.get(themeId).favourites.find(other => entryKey(other) === entryKey(entry)) !== undefined;
+    },
+    toggleFavourite(themeId, entry) {
+        const favourite = SearchHistory.isFavourite(themeId, entry);
+        update(themeId, entries => ({
+            ...entries,
+            favourites: favourite ?
+                entries.favourites.filter(other => entryKey(other) !== entryKey(entry)) :
+                [...entries.favourites, entry]
+        }));
+    },
+    remove(themeId, entry) {
+        update(themeId, entries => ({
+            recent: entries.recent.filter(other => entryKey(other) !== entryKey(entry)),
+            favourites: entries.favourites.filter(other => entryKey(other) !== entryKey(entry))
+        }));
+    },
+    clear(themeId, includeFavourites = false) {
+        update(themeId, entries => ({
+            recent: [],
+            favourites: includeFavourites ? [] : entries.favourites
+        }));
+    },
+    exportJSON(themeId) {
+        return JSON.stringify(SearchHistory.get(themeId), null, 2);
+    },
+    /**
+     * Returns the favourites and recent entries matching the specified text.
+     * An empty text matches all entries. Recent entries which are also
+     * favourites are omitted.
+     */
+    search(themeId, text) {
+        const entries = SearchHistory.get(themeId);
+        const matches = (entry) => !text.trim() || FuzzyMatch.score(text, plainText(entry.text)) > 0;
+        const favouriteKeys = new Set(entries.favourites.map(entryKey));
+        return {
+            favourites: entries.favourites.filter(matches),
+            recent: entries.recent.filter(entry => !favouriteKeys.has(entryKey(entry)) && matches(entry))
+        };
+    },
+    /**
+     * Registers a listener invoked whenever the history changes.
+     *
+     * @return A function which unregisters the listener
+     */
+    subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+};
+
+export default SearchHistory;
@@ -0,0 +1,186 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {zoomToExtent, zoomToPoint} from 'qwc2/actions/map';
+import {SearchResultType, startSearch} from 'qwc2/actions/search';
+import Icon from 'qwc2/components/Icon';
+import SideBar from 'qwc2/components/SideBar';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import MapUtils from 'qwc2/utils/MapUtils';
+import SearchHistory from './SearchHistory';
+import {SearchProviders} from './SearchProviders';
+import './style/SearchHistory.css';
+
+/**
+ * Records the selected location search results of each theme and lists the
+ * recent places and pinned favourites in a sidebar.
+ *
+ * The entries are also offered as search results by the `history` search provider.
+ * As the search field does not query the providers for an empty text, the
+ * Search component wrapped with `withSearchHistory` searches the history when
+ * its empty search field is focused, if the `history` provider is enabled for
+ * the theme.
+ */
+class SearchHistoryPlugin extends React.Component {
+    static propTypes = {
+        currentResult: PropTypes.object,
+        mapScales: PropTypes.array,
+        /* Maximum number of recent places to keep per theme */
+        maxRecent: PropTypes.number,
+        /* Minimum scale denominator when zooming to a point entry */
+        minScaleDenom: PropTypes.number,
+        theme: PropTypes.object,
+        zoomToExtent: PropTypes.func,
+        zoomToPoint: PropTypes.func
+    }
+    static defaultProps = {
+        maxRecent: 20,
+        minScaleDenom: 1000
+    }
+    state = {
+        revision: 0
+    }
+    componentDidMount() {
+        this.unsubscribe = SearchHistory.subscribe(this.historyChanged);
+    }
+    componentWillUnmount() {
+        this.unsubscribe();
+    }
+    componentDidUpdate(prevProps) {
+        const result = this.props.currentResult;
+        if (result && result !== prevProps.currentResult && this.props.theme && this.isPlace(result)) {
+            SearchHistory.record(this.props.theme.id, result, this.props.maxRecent);
+        }
+    }
+    historyChanged = () => {
+        this.setState((state) => ({revision: state.revision + 1}));
+    }
+    isPlace = (result) => {
+        return (result.type === undefined || result.type === SearchResultType.PLACE) && result.x !== undefined && result.y !== undefined;
+    }
+    render() {
+        return (
+            <SideBar icon="star" id="SearchHistory" title="appmenu.items.SearchHistory" width="20em">
+                {() => ({
+                    body: this.renderBody()
+                })}
+            </SideBar>
+        );
+    }
+    renderBody = () => {
+        const themeId = this.props.theme ? this.props.theme.id : null;
+        const entries = SearchHistory.get(themeId);
+        return (
+            <div className="search-history-body">
+                <div className="search-history-title">{LocaleUtils.tr("searchhistory.favourites")}</div>
+                {this.renderEntries(themeId, entries.favourites, true)}
+                <div className="search-history-title">{LocaleUtils.tr("searchhistory.recent")}</div>
+                {this.renderEntries(themeId, entries.recent, false)}
+                <div className="search-history-buttons">
+                    <button className="button" disabled={entries.recent.length === 0} onClick={() => SearchHistory.clear(themeId)}>
+                        {LocaleUtils.tr("searchhistory.clearrecent")}
+                    </button>
+                    <button className="button" disabled={entries.recent.length === 0 && entries.favourites.length === 0} onClick={() => SearchHistory.clear(themeId, true)}>
+                        {LocaleUtils.tr("searchhistory.clearall")}
+                    </button>
+                    <button className="button" onClick={() => this.export(themeId)}>
+                        <Icon icon="export" /> {LocaleUtils.tr("searchhistory.export")}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+    renderEntries = (themeId, entries, favourites) => {
+        if (entries.length === 0) {
+            return (<div className="search-history-empty">{LocaleUtils.tr("searchhistory.empty")}</div>);
+        }
+        return (
+            <ul className="search-history-entries">
+                {entries.map(entry => {
+                    const favourite = favourites || SearchHistory.isFavourite(themeId, entry);
+                    return (
+                        <li key={entry.timestamp + ":" + entry.x + ":" + entry.y}>
+                            <span className="search-history-entry-text" dangerouslySetInnerHTML={{__html: entry.text}} onClick={() => this.zoomTo(entry)} />
+                            <Icon icon={favourite ? "star_filled" : "star"} onClick={() => SearchHistory.toggleFavourite(themeId, entry)}
+                                title={LocaleUtils.tr(favourite ? "searchhistory.unpin" : "searchhistory.pin")} />
+                            <Icon icon="trash" onClick={() => SearchHistory.remove(themeId, entry)} title={LocaleUtils.tr("searchhistory.remove")} />
+                        </li>
+                    );
+                })}
+            </ul>
+        );
+    }
+    zoomTo = (entry) => {
+        const bbox = entry.bbox;
+        if (bbox && bbox[0] !== bbox[2] && bbox[1] !== bbox[3]) {
+            this.props.zoomToExtent(bbox, entry.crs);
+        } else {
+            this.props.zoomToPoint([entry.x, entry.y], MapUtils.computeZoom(this.props.mapScales, this.props.minScaleDenom), entry.crs);
+        }
+    }
+    export = (themeId) => {
+        const blob = new Blob([SearchHistory.exportJSON(themeId)], {type: "application/json"});
+        const a = document.createElement("a");
+        a.href = URL.createObjectURL(blob);
+        a.download = "search-history" + (themeId ? "-" + themeId : "") + ".json";
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(a.href);
+    }
+}
+
+/**
+ * Wraps the Search component of the TopBar, to search the history when its
+ * empty search field is focused, see appConfig.js.
+ */
+export function withSearchHistory(SearchComponent) {
+    class SearchWithHistory extends React.Component {
+        static propTypes = {
+            dispatch: PropTypes.func
+        }
+        render() {
+            const searchProps = Object.keys(this.props).filter(key => !(key in SearchWithHistory.propTypes)).reduce((res, key) => {
+                res[key] = this.props[key];
+                return res;
+            }, {});
+            return (
+                <div className="search-history-search" onFocus={this.onFocus}>
+                    <SearchComponent {...searchProps} />
+                </div>
+            );
+        }
+        onFocus = (ev) => {
+            if (ev.target.tagName !== "INPUT" || ev.target.type !== "text" || ev.target.value) {
+                return;
+            }
+            this.props.dispatch((dispatch, getState) => {
+                const state = getState();
+                const theme = state.theme.current;
+                const enabled = theme && (theme.searchProviders || []).some(entry => (typeof entry === "object" ? entry.key : entry) === "history");
+                if (enabled) {
+                    const searchOptions = {mapcrs: state.map.projection, displaycrs: state.map.projection, lang: LocaleUtils.lang()};
+                    dispatch(startSearch("", searchOptions, {history: SearchProviders.history}));
+                }
+            });
+        }
+    }
+    return connect()(SearchWithHistory);
+}
+
+export default connect((state) => ({
+    currentResult: state.search.currentResult,
+    mapScales: state.map.scales,
+    theme: state.theme.current
+}), {
+    zoomToExtent: zoomToExtent,
+    zoomToPoint: zoomToPoint
+})(SearchHistoryPlugin);
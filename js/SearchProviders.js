@@ -28,6 +28,15 @@ Search provider interface:
     // Same return object as onSearch
   }
 
+  mergeResults: false // Optional, keeps the result groups apart when merging the results, see SearchResultMerger.js
+
+  reverseGeocode: function(pos, crs, options) {
+    // Optional, used by the reverse geocoding tooltip and API:
+    // return a promise resolving to a list of location result items (see below)
+    // near the position pos = [x, y], specified in crs.
+    // options = {requestId, lang}
+  }
+
 
 Format of search results:
 -------------------------
@@ -71,50 +80,78 @@ Format of search results:
 
 import axios from 'axios';
 import {addSearchResults, SearchResultType} from "qwc2/actions/search";
+import {LayerRole} from 'qwc2/actions/layers';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
 import CoordinatesUtils from 'qwc2/utils/CoordinatesUtils';
-
-function coordinatesSearch(text, requestId, searchOptions, dispatch) {
-    const displaycrs = searchOptions.displaycrs || "EPSG:4326";
-    const matches = text.match(/^\s*([+-]?\d+\.?\d*)[,\s]\s*([+-]?\d+\.?\d*)\s*$/);
-    const items = [];
-    if (matches && matches.length >= 3) {
-        const x = parseFloat(matches[1]);
-        const y = parseFloat(matches[2]);
-        if (displaycrs !== "EPSG:4326") {
-            items.push({
-                id: "coord0",
-                text: x + ", " + y + " (" + displaycrs + ")",
-                x: x,
-                y: y,
-                crs: displaycrs,
-                bbox: [x, y, x, y]
-            });
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import MapUtils from 'qwc2/utils/MapUtils';
+import ThemeUtils from 'qwc2/utils/ThemeUtils';
+import VectorLayerUtils from 'qwc2/utils/VectorLayerUtils';
+import CoordinatesParser from './CoordinatesParser';
+import Gazetteer from './Gazetteer';
+import GeoJSONUtils from './GeoJSONUtils';
+import LayerSearchIndex from './LayerSearchIndex';
+import SearchHistory from './SearchHistory';
+import SearchRequest from './SearchRequest';
+
+function searchRequestFailed(provider, requestId, dispatch) {
+    // Report an empty result for failed requests, but ignore superseded ones
+    return (error) => {
+        if (!SearchRequest.isCancel(error)) {
+            dispatch(addSearchResults({data: [], provider: provider, reqId: requestId}, true));
         }
-        if (x >= -180 && x <= 180 && y >= -90 && y <= 90) {
-            const title = Math.abs(x) + (x >= 0 ? "°E" : "°W") + ", "
-                      + Math.abs(y) + (y >= 0 ? "°N" : "°S");
-            items.push({
-                id: "coord" + items.length,
-                text: title,
-                x: x,
-                y: y,
-                crs: "EPSG:4326",
-                bbox: [x, y, x, y]
-            });
-        }
-        if (x >= -90 && x <= 90 && y >= -180 && y <= 180 && x !== y) {
-            const title = Math.abs(y) + (y >= 0 ? "°E" : "°W") + ", "
-                      + Math.abs(x) + (x >= 0 ? "°N" : "°S");
-            items.push({
-                id: "coord" + items.length,
-                text: title,
-                x: y,
-                y: x,
-                crs: "EPSG:4326",
-                bbox: [y, x, y, x]
-            });
+    };
+}
+
+/** ************************************************************************ **/
+
+function coordinatesSearchCrs(searchOptions) {
+    // Projected CRS in which to interpret plain coordinate pairs
+    const labels = {};
+    (ConfigUtils.getConfigProp("projections") || []).forEach(entry => {
+        labels[entry.code] = entry.label;
+    });
+    const result = [];
+    [searchOptions.displaycrs, searchOptions.mapcrs, ...Object.keys(labels)].forEach(crs => {
+        if (crs && !result.find(entry => entry.code === crs) && CoordinatesUtils.getUnits(crs) !== "degrees") {
+            result.push({code: crs, label: labels[crs] || crs});
         }
+    });
+    return result;
+}
+
+function coordinatesInsideExtent(candidate, extent) {
+    if (!extent) {
+        return true;
+    }
+    const pos = CoordinatesUtils.reproject([candidate.x, candidate.y], candidate.crs, extent.crs);
+    return isFinite(pos[0]) && isFinite(pos[1]) &&
+        pos[0] >= extent.bounds[0] && pos[0] <= extent.bounds[2] &&
+        pos[1] >= extent.bounds[1] && pos[1] <= extent.bounds[3];
+}
+
+function coordinatesResultText(candidate) {
+    if (candidate.crs === "EPSG:4326") {
+        const x = parseFloat(candidate.x.toFixed(6));
+        const y = parseFloat(candidate.y.toFixed(6));
+        const text = Math.abs(x) + (x >= 0 ? "°E" : "°W") + ", "
+                   + Math.abs(y) + (y >= 0 ? "°N" : "°S");
+        return candidate.interpretation ? text + " (" + candidate.interpretation + ")" : text;
     }
+    return candidate.x + ", " + candidate.y + " (" + candidate.interpretation + ")";
+}
+
+function coordinatesSearch(text, requestId, searchOptions, dispatch, state) {
+    const themeExtent = state && state.theme && state.theme.current ? state.theme.current.bbox : null;
+    const candidates = CoordinatesParser.parse(text, coordinatesSearchCrs(searchOptions));
+    const items = candidates.filter(candidate => coordinatesInsideExtent(candidate, themeExtent)).map((candidate, idx) => ({
+        id: "coord" + idx,
+        text: coordinatesResultText(candidate),
+        x: candidate.x,
+        y: candidate.y,
+        crs: candidate.crs,
+        bbox: candidate.bbox
+    }));
     const results = [];
     if (items.length > 0) {
         results.push(
@@ -131,23 +168,66 @@ function coordinatesSearch(text, requestId, searchOptions, dispatch) {
 /** ************************************************************************ **/
 
 function geoAdminLocationSearch(text, requestId, searchOptions, dispatch) {
-    axios.get("http://api3.geo.admin.ch/rest/services/api/SearchServer?searchText=" + encodeURIComponent(text) + "&type=locations&limit=20")
-        .then(response => dispatch(geoAdminLocationSearchResults(response.data, requestId)));
+    SearchRequest.get("geoadmin", requestId, "http://api3.geo.admin.ch/rest/services/api/SearchServer?searchText=" + encodeURIComponent(text) + "&type=locations&limit=20")
+        .then(response => dispatch(geoAdminLocationSearchResults(response.data, requestId)))
+        .catch(searchRequestFailed("geoadmin", requestId, dispatch));
 }
 
-function parseItemBBox(bboxstr) {
-    if (bboxstr === undefined) {
+function geoAdminReverseGeocode(pos, crs, options) {
+    // Query the nearest buildings (with address) and parcels
+    const point = CoordinatesUtils.reproject(pos, crs, "EPSG:2056");
+    const extent = [point[0] - 50, point[1] - 50, point[0] + 50, point[1] + 50];
+    return SearchRequest.get("geoadmin_reverse", options.requestId, "https://api3.geo.admin.ch/rest/services/api/MapServer/identify", {params: {
+        geometryType: "esriGeometryPoint",
+        geometry: point.join(","),
+        sr: 2056,
+        layers: "all:ch.bfs.gebaeude_wohnungs_register,ch.kantone.cadastralwebmap-farbe",
+        mapExtent: extent.join(","),
+        imageDisplay: "100,100,96",
+        tolerance: 25,
+        returnGeometry: true,
+        geometryFormat: "geojson",
+        lang: options.lang
+    }}, {debounce: 0}).then(response => {
+        return (response.data.results || []).map(entry => {
+            const attrs = entry.properties || entry.attributes || {};
+            let text = attrs.label;
+            if (entry.layerBodId === "ch.bfs.gebaeude_wohnungs_register" && attrs.strname_deinr) {
+                text = attrs.strname_deinr + ", " + [attrs.dplz4, attrs.ggdename].filter(x => x).join(" ");
+            } else if (entry.layerBodId === "ch.kantone.cadastralwebmap-farbe") {
+                text = LocaleUtils.tr("search.parcel") + " " + (attrs.number || attrs.label) + (attrs.ak ? " (" + attrs.ak + ")" : "");
+            }
+            const bbox = entry.geometry ? GeoJSONUtils.geometryBBox(entry.geometry) : null;
+            if (!bbox || !text) {
+                return null;
+            }
+            return {
+                id: entry.layerBodId + ":" + entry.featureId,
+                text: text,
+                x: 0.5 * (bbox[0] + bbox[2]),
+                y: 0.5 * (bbox[1] + bbox[3]),
+                crs: "EPSG:2056",
+                bbox: bbox,
+                provider: "geoadmin"
+            };
+        }).filter(item => item);
+    });
+}
+
+function parseBox2d(bboxstr) {
+    const matches = bboxstr.match(/^BOX\s*\(\s*(-?\d+\.?\d*)\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*(-?\d+\.?\d*)\s*\)$/);
+    if (!matches || matches.length < 5) {
         return null;
     }
-    const matches = bboxstr.match(/^BOX\s*\(\s*(\d+\.?\d*)\s*(\d+\.?\d*)\s*,\s*(\d+\.?\d*)\s*(\d+\.?\d*)\s*\)$/);
-    if (matches && matches.length < 5) {
+    return matches.slice(1, 5).map(value => parseFloat(value));
+}
+
+function parseItemBBox(bboxstr) {
+    if (bboxstr === undefined) {
         return null;
     }
-    const xmin = parseFloat(matches[1]);
-    const ymin = parseFloat(matches[2]);
-    const xmax = parseFloat(matches[3]);
-    const ymax = parseFloat(matches[4]);
-    return CoordinatesUtils.reprojectBbox([xmin, ymin, xmax, ymax], "EPSG:21781", "EPSG:4326");
+    const bbox = parseBox2d(bboxstr);
+    return bbox ? CoordinatesUtils.reprojectBbox(bbox, "EPSG:21781", "EPSG:4326") : null;
 }
 
 function geoAdminLocationSearchResults(obj, requestId) {
@@ -188,8 +268,9 @@ function geoAdminLocationSearchResults(obj, requestId) {
 /** ************************************************************************ **/
 
 function usterSearch(text, requestId, searchOptions, dispatch) {
-    axios.get("https://webgis.uster.ch/wsgi/search.wsgi?&searchtables=&query=" + encodeURIComponent(text))
-        .then(response => dispatch(usterSearchResults(response.data, requestId)));
+    SearchRequest.get("uster", requestId, "https://webgis.uster.ch/wsgi/search.wsgi?&searchtables=&query=" + encodeURIComponent(text))
+        .then(response => dispatch(usterSearchResults(response.data, requestId)))
+        .catch(searchRequestFailed("uster", requestId, dispatch));
 }
 
 function usterSearchResults(obj, requestId) {
@@ -230,7 +311,7 @@ function usterResultGeometry(resultItem, callback) {
 /** ************************************************************************ **/
 
 function wolfsburgSearch(text, requestId, searchOptions, dispatch) {
-    axios.get("https://geoportal.stadt.wolfsburg.de/wsgi/search.wsgi", {params: {
+    SearchRequest.get("wolfsburg", requestId, "https://geoportal.stadt.wolfsburg.de/wsgi/search.wsgi", {params: {
         query: text,
         searchTables: '["Infrastruktur", "Stadt- und Ortsteile"]',
         searchFilters: '["Abfallwirtschaft,Haltestellen,Hilfsorganisationen", ""]',
@@ -240,7 +321,8 @@ function wolfsburgSearch(text, requestId, searchOptions, dispatch) {
         topic: "stadtplan",
         resultLimit: 100,
         resultLimitCategory: 100
-    }}).then(response => dispatch(wolfsburgSearchResults(response.data, requestId)));
+    }}).then(response => dispatch(wolfsburgSearchResults(response.data, requestId)))
+        .catch(searchRequestFailed("wolfsburg", requestId, dispatch));
 }
 
 function wolfsburgSearchResults(obj, requestId) {
@@ -285,15 +367,15 @@ function wolfsburgResultGeometry(resultItem, callback) {
 
 function glarusSearch(text, requestId, searchOptions, dispatch) {
     const limit = 9;
-    axios.get("https://map.geo.gl.ch/search/all?limit=" + limit + "&query=" + encodeURIComponent(text))
+    SearchRequest.get("glarus", requestId, "https://map.geo.gl.ch/search/all?limit=" + limit + "&query=" + encodeURIComponent(text))
         .then(response => dispatch(glarusSearchResults(response.data, requestId, limit)))
-        .catch(() => dispatch(glarusSearchResults({}, requestId, limit)));
+        .catch(searchRequestFailed("glarus", requestId, dispatch));
 }
 
 function glarusMoreResults(moreItem, text, requestId, dispatch) {
-    axios.get("https://map.geo.gl.ch/search/" + moreItem.category + "?query=" + encodeURIComponent(text))
+    SearchRequest.get("glarus", requestId, "https://map.geo.gl.ch/search/" + moreItem.category + "?query=" + encodeURIComponent(text), {}, {debounce: 0})
         .then(response => dispatch(glarusSearchResults(response.data, requestId)))
-        .catch(() => dispatch(glarusSearchResults({}, requestId)));
+        .catch(searchRequestFailed("glarus", requestId, dispatch));
 }
 
 function glarusSearchResults(obj, requestId, limit = -1) {
@@ -336,6 +418,47 @@ function glarusResultGeometry(resultItem, callback) {
 
 /** ************************************************************************ **/
 
+function nominatimResultItem(entry) {
+    // shorten display_name
+    let text = entry.display_name.split(', ').slice(0, 3).join(', ');
+    // map label
+    const label = text;
+
+    // collect address fields
+    const address = [];
+    if (entry.address.town) {
+        address.push(entry.address.town);
+    }
+    if (entry.address.city) {
+        address.push(entry.address.city);
+    }
+    if (entry.address.state) {
+        address.push(entry.address.state);
+    }
+    if (entry.address.country) {
+        address.push(entry.address.country);
+    }
+    if (address.length > 0) {
+        text += "<br/><i>" + address.join(', ') + "</i>";
+    }
+
+    // reorder coords from [miny, maxy, minx, maxx] to [minx, miny, maxx, maxy]
+    const b = entry.boundingbox.map(coord => parseFloat(coord));
+    const bbox = [b[2], b[0], b[3], b[1]];
+
+    return {
+        id: entry.place_id,
+        // shorten display_name
+        text: text,
+        label: label,
+        bbox: bbox,
+        x: 0.5 * (bbox[0] + bbox[2]),
+        y: 0.5 * (bbox[1] + bbox[3]),
+        crs: "EPSG:4326",
+        provider: "nominatim"
+    };
+}
+
 function nominatimSearchResults(obj, requestId) {
     const results = [];
     const groups = {};
@@ -351,102 +474,394 @@ function nominatimSearchResults(obj, requestId) {
             };
             results.push(groups[entry.class]);
         }
+        groups[entry.class].items.push(nominatimResultItem(entry));
+    });
+    return addSearchResults({data: results, provider: "nominatim", reqId: requestId}, true);
+}
 
-        // shorten display_name
-        let text = entry.display_name.split(', ').slice(0, 3).join(', ');
-        // map label
-        const label = text;
-
-        // collect address fields
-        const address = [];
-        if (entry.address.town) {
-            address.push(entry.address.town);
+function nominatimSearch(text, requestId, searchOptions, dispatch) {
+    SearchRequest.get("nominatim", requestId, "//nominatim.openstreetmap.org/search", {params: {
+        q: text,
+        addressdetails: 1,
+        limit: 20,
+        format: 'json'
+    }}).then(response => dispatch(nominatimSearchResults(response.data, requestId)))
+        .catch(searchRequestFailed("nominatim", requestId, dispatch));
+}
+
+function nominatimReverseGeocode(pos, crs, options) {
+    const lonlat = CoordinatesUtils.reproject(pos, crs, "EPSG:4326");
+    return SearchRequest.get("nominatim_reverse", options.requestId, "//nominatim.openstreetmap.org/reverse", {params: {
+        "lat": lonlat[1],
+        "lon": lonlat[0],
+        "addressdetails": 1,
+        "format": 'json',
+        "accept-language": options.lang
+    }}, {debounce: 0}).then(response => {
+        return response.data && response.data.place_id ? [nominatimResultItem(response.data)] : [];
+    });
+}
+
+/** ************************************************************************ **/
+
+/**
+ * Generic provider for JSON and GeoJSON search services, configured entirely
+ * through its entry in the theme `searchProviders` list of themesConfig.json:
+ *
+ *  {
+ *    "key": "<providerKey>",
+ *    "type": "json" | "geojson",
+ *    "label": "<label>",
+ *    "url": "<url template, i.e. https://example.com/search?q={text}>",
+ *    "resultPath": "<dot-separated path to the result list in the response>",
+ *    "fields": {"id": "<path>", "text": "<path>", "label": "<path>", "x": "<path>", "y": "<path>", "bbox": "<path>"},
+ *    "groupBy": "<path>",
+ *    "groupTitles": {"<groupvalue>": "<title>", ...},
+ *    "crs": "<crs of x, y and bbox>",
+ *    "bboxCrs": "<crs of bbox, if different from crs>",
+ *    "geometryUrl": "<url template, i.e. https://example.com/geom?id={id}>",
+ *    "geometryPath": "<dot-separated path to the WKT or GeoJSON geometry in the response>",
+ *    "reverseUrl": "<url template for reverse geocoding, i.e. https://example.com/reverse?x={x}&y={y}>",
+ *    "reverseCrs": "<crs of the {x} and {y} placeholders of reverseUrl>",
+ *    "layerName": "<layer on which the provider depends>"
+ *  }
+ *
+ * Paths are resolved relative to each result entry, or relative to the feature
+ * properties for `geojson` providers. URL templates may contain `{text}`,
+ * `{lang}` and `{mapcrs}`, the geometry URL template additionally any result
+ * entry property, the reverse URL template `{x}`, `{y}`, `{crs}` and `{lang}`.
+ * Reverse geocoding responses are parsed like search responses. Entries
+ * without text or position are skipped.
+ */
+
+function getValueAtPath(obj, path) {
+    if (path === undefined || path === null || path === "") {
+        return obj;
+    }
+    return String(path).split(".").reduce((value, key) => {
+        return value !== undefined && value !== null ? value[key] : undefined;
+    }, obj);
+}
+
+function fillUrlTemplate(template, values) {
+    return template.replace(/\{([\w.]+)\}/g, (match, path) => {
+        const value = getValueAtPath(values, path);
+        return value !== undefined && value !== null ? encodeURIComponent(value) : "";
+    });
+}
+
+function parseConfiguredBBox(value) {
+    let bbox = null;
+    if (Array.isArray(value)) {
+        bbox = value.map(entry => parseFloat(entry));
+    } else if (typeof value === "string") {
+        bbox = parseBox2d(value) || value.split(",").map(entry => parseFloat(entry));
+    }
+    return bbox && bbox.length === 4 && !bbox.some(entry => isNaN(entry)) ? bbox : null;
+}
+
+function configurableSearch(cfg, text, requestId, searchOptions, dispatch) {
+    const params = {text: text, lang: searchOptions.lang, mapcrs: searchOptions.mapcrs};
+    const options = {debounce: cfg.debounce, timeout: cfg.timeout};
+    SearchRequest.get(cfg.key, requestId, fillUrlTemplate(cfg.url, params), {}, options)
+        .then(response => dispatch(configurableSearchResults(cfg, response.data, requestId)))
+        .catch(searchRequestFailed(cfg.key, requestId, dispatch));
+}
+
+function configurableResultGroups(cfg, obj) {
+    const geojson = cfg.type === "geojson";
+    const fields = cfg.fields || {};
+    const crs = cfg.crs || "EPSG:4326";
+    const results = [];
+    const groups = {};
+    const entries = getValueAtPath(obj, cfg.resultPath || (geojson ? "features" : "")) || [];
+    entries.forEach((entry, idx) => {
+        const properties = geojson ? {id: entry.id, ...entry.properties} : entry;
+        let bbox = parseConfiguredBBox(getValueAtPath(properties, fields.bbox));
+        if (bbox && cfg.bboxCrs && cfg.bboxCrs !== crs) {
+            bbox = CoordinatesUtils.reprojectBbox(bbox, cfg.bboxCrs, crs);
+        } else if (!bbox && geojson && entry.geometry) {
+            bbox = GeoJSONUtils.geometryBBox(entry.geometry);
         }
-        if (entry.address.city) {
-            address.push(entry.address.city);
+        const text = getValueAtPath(properties, fields.text || "text");
+        if (text === undefined || text === null) {
+            return;
         }
-        if (entry.address.state) {
-            address.push(entry.address.state);
+        let x = parseFloat(getValueAtPath(properties, fields.x));
+        let y = parseFloat(getValueAtPath(properties, fields.y));
+        if (isNaN(x) || isNaN(y)) {
+            if (!bbox) {
+                return;
+            }
+            x = 0.5 * (bbox[0] + bbox[2]);
+            y = 0.5 * (bbox[1] + bbox[3]);
         }
-        if (entry.address.country) {
-            address.push(entry.address.country);
+        const groupKey = cfg.groupBy ? getValueAtPath(properties, cfg.groupBy) : "";
+        if (groups[groupKey] === undefined) {
+            groups[groupKey] = {
+                id: cfg.key + "group" + results.length,
+                title: (cfg.groupTitles || {})[groupKey] || groupKey || cfg.label,
+                items: []
+            };
+            results.push(groups[groupKey]);
         }
-        if (address.length > 0) {
-            text += "<br/><i>" + address.join(', ') + "</i>";
+        const id = getValueAtPath(properties, fields.id || "id");
+        groups[groupKey].items.push({
+            id: id !== undefined ? id : cfg.key + "result" + idx,
+            text: String(text),
+            label: fields.label ? getValueAtPath(properties, fields.label) : undefined,
+            x: x,
+            y: y,
+            crs: crs,
+            bbox: bbox || [x, y, x, y],
+            provider: cfg.key,
+            properties: properties,
+            geometry: geojson ? entry.geometry : undefined
+        });
+    });
+    return results;
+}
+
+function configurableSearchResults(cfg, obj, requestId) {
+    return addSearchResults({data: configurableResultGroups(cfg, obj), provider: cfg.key, reqId: requestId}, true);
+}
+
+function configurableReverseGeocode(cfg, pos, crs, options) {
+    const reverseCrs = cfg.reverseCrs || cfg.crs || "EPSG:4326";
+    const point = CoordinatesUtils.reproject(pos, crs, reverseCrs);
+    const params = {x: point[0], y: point[1], crs: reverseCrs, lang: options.lang};
+    return SearchRequest.get(cfg.key + "_reverse", options.requestId, fillUrlTemplate(cfg.reverseUrl, params), {}, {debounce: 0, timeout: cfg.timeout})
+        .then(response => configurableResultGroups(cfg, response.data).reduce((items, group) => items.concat(group.items), []));
+}
+
+function configurableResultGeometry(cfg, resultItem, callback) {
+    if (resultItem.geometry) {
+        callback(resultItem, VectorLayerUtils.geoJSONGeomToWkt(resultItem.geometry), resultItem.crs);
+        return;
+    } else if (!cfg.geometryUrl) {
+        // GeoJSON result without geometry, only the result marker is shown
+        return;
+    }
+    axios.get(fillUrlTemplate(cfg.geometryUrl, {...resultItem.properties, text: resultItem.text})).then(response => {
+        const geometry = getValueAtPath(response.data, cfg.geometryPath);
+        if (!geometry) {
+            return;
         }
+        const wkt = typeof geometry === "string" ? geometry : VectorLayerUtils.geoJSONGeomToWkt(geometry);
+        callback(resultItem, wkt, cfg.geometryCrs || resultItem.crs);
+    }).catch(() => {
+        // The result is still shown with its marker, only the geometry is not highlighted
+    });
+}
 
-        // reorder coords from [miny, maxy, minx, maxx] to [minx, miny, maxx, maxy]
-        const b = entry.boundingbox.map(coord => parseFloat(coord));
-        const bbox = [b[2], b[0], b[3], b[1]];
-
-        groups[entry.class].items.push({
-            id: entry.place_id,
-            // shorten display_name
-            text: text,
-            label: label,
-            bbox: bbox,
-            x: 0.5 * (bbox[0] + bbox[2]),
-            y: 0.5 * (bbox[1] + bbox[3]),
-            crs: "EPSG:4326",
-            provider: "nominatim"
+function configurableSearchProvider(cfg) {
+    const provider = {
+        label: cfg.label,
+        onSearch: (text, requestId, searchOptions, dispatch) => configurableSearch(cfg, text, requestId, searchOptions, dispatch),
+        requiresLayer: cfg.layerName
+    };
+    if (cfg.geometryUrl || cfg.type === "geojson") {
+        provider.getResultGeometry = (resultItem, callback) => configurableResultGeometry(cfg, resultItem, callback);
+    }
+    if (cfg.reverseUrl) {
+        provider.reverseGeocode = (pos, crs, options) => configurableReverseGeocode(cfg, pos, crs, options);
+    }
+    return provider;
+}
+
+/** ************************************************************************ **/
+
+/**
+ * Offline provider searching a static gazetteer bundled with the application,
+ * configured through its entry in the theme `searchProviders` list of themesConfig.json:
+ *
+ *  {
+ *    "key": "<providerKey>",
+ *    "type": "gazetteer",
+ *    "label": "<label>",
+ *    "url": "<url of the GeoJSON or CSV file, use :/<path> for files below the assets folder>",
+ *    "format": "geojson" | "csv",
+ *    "textField": "<property containing the display text>",
+ *    "searchFields": ["<property>", ...],
+ *    "groupField": "<property by which results are grouped>",
+ *    "xField": "<CSV column containing the x coordinate>",
+ *    "yField": "<CSV column containing the y coordinate>",
+ *    "csvDelimiter": "<CSV column delimiter>",
+ *    "crs": "<crs of the coordinates>",
+ *    "preload": <whether to load the gazetteer when the theme is loaded rather than on first search>,
+ *    "limit": <maximum number of results>
+ *  }
+ */
+
+function gazetteerSearch(cfg, text, requestId, searchOptions, dispatch) {
+    Gazetteer.load(cfg).then(index => {
+        const results = [];
+        const groups = {};
+        Gazetteer.search(index, text, cfg.limit || 20).forEach(entry => {
+            const groupKey = entry.group || "";
+            if (groups[groupKey] === undefined) {
+                groups[groupKey] = {
+                    id: cfg.key + "group" + results.length,
+                    title: groupKey || cfg.label,
+                    items: []
+                };
+                results.push(groups[groupKey]);
+            }
+            groups[groupKey].items.push({
+                id: entry.id,
+                text: entry.text,
+                x: entry.x,
+                y: entry.y,
+                crs: cfg.crs || "EPSG:4326",
+                bbox: entry.bbox,
+                provider: cfg.key,
+                geometry: entry.geometry || undefined
+            });
         });
-    });
-    return addSearchResults({data: results, provider: "nominatim", reqId: requestId}, true);
+        dispatch(addSearchResults({data: results, provider: cfg.key, reqId: requestId}, true));
+    }).catch(() => dispatch(addSearchResults({data: [], provider: cfg.key, reqId: requestId}, true)));
 }
 
-function nominatimSearch(text, requestId, searchOptions, dispatch) {
-    axios.get("//nominatim.openstreetmap.org/search", {params: {
-        q: text,
-        addressdetails: 1,
-        limit: 20,
-        format: 'json'
-    }}).then(response => dispatch(nominatimSearchResults(response.data, requestId)));
+function gazetteerSearchProvider(cfg) {
+    if (cfg.preload) {
+        Gazetteer.load(cfg).catch(() => {});
+    }
+    return {
+        label: cfg.label,
+        onSearch: (text, requestId, searchOptions, dispatch) => gazetteerSearch(cfg, text, requestId, searchOptions, dispatch),
+        getResultGeometry: (resultItem, callback) => {
+            if (resultItem.geometry && resultItem.geometry.type !== "Point") {
+                callback(resultItem, VectorLayerUtils.geoJSONGeomToWkt(resultItem.geometry), resultItem.crs);
+            }
+        },
+        requiresLayer: cfg.layerName
+    };
 }
 
 /** ************************************************************************ **/
 
-function parametrizedSearch(cfg, text, requestId, searchOptions, dispatch) {
-    const SEARCH_URL = ""; // ...
-    axios.get(SEARCH_URL + "?param=" + cfg.param + "&searchtext=" + encodeURIComponent(text))
-        .then(response => dispatch(addSearchResults({data: response.data, provider: cfg.key, reqId: requestId})))
-        .catch(() => dispatch(addSearchResults({data: [], provider: cfg.key, reqId: requestId})));
+function parametrizedSearchParams(cfg, text, searchOptions, state) {
+    // Pass the current map context along, so that the service can i.e. rank results by proximity
+    const map = (state || {}).map || {};
+    const params = {
+        param: cfg.param,
+        searchtext: text,
+        limit: cfg.limit || 10,
+        crs: searchOptions.mapcrs || map.projection
+    };
+    if (map.bbox && map.bbox.bounds) {
+        params.bbox = map.bbox.bounds.join(",");
+    }
+    if (map.scales && map.zoom !== undefined) {
+        params.scale = Math.round(MapUtils.computeForZoom(map.scales, map.zoom));
+    }
+    return params;
+}
+
+function parametrizedSearchError(cfg, error, requestId) {
+    let message = "";
+    if (error && error.code === "ECONNABORTED") {
+        message = LocaleUtils.tr("search.servicetimeout");
+    } else if (error && error.response) {
+        message = LocaleUtils.tr("search.serviceerror") + " (HTTP " + error.response.status + ")";
+    } else {
+        message = LocaleUtils.tr("search.serviceunavailable");
+    }
+    const results = [{
+        id: cfg.key + "error",
+        title: (cfg.label || cfg.key) + ": " + message,
+        items: []
+    }];
+    return addSearchResults({data: results, provider: cfg.key, reqId: requestId}, true);
+}
+
+function parametrizedSearchResults(cfg, data, requestId, params, limit = -1) {
+    const results = (Array.isArray(data) ? data : data.results || []).map(group => {
+        const items = (group.items || []).map(item => ({provider: cfg.key, ...item}));
+        if (limit >= 0 && (group.more || items.length > limit)) {
+            items.splice(limit);
+            items.push({
+                id: cfg.key + "more" + group.id,
+                more: true,
+                provider: cfg.key,
+                category: group.id,
+                params: params
+            });
+        }
+        return {...group, items: items};
+    });
+    return addSearchResults({data: results, provider: cfg.key, reqId: requestId}, true);
+}
+
+function parametrizedSearch(cfg, text, requestId, searchOptions, dispatch, state) {
+    const serviceUrl = ConfigUtils.getConfigProp("searchServiceUrl");
+    if (!serviceUrl) {
+        dispatch(parametrizedSearchError(cfg, null, requestId));
+        return;
+    }
+    const params = parametrizedSearchParams(cfg, text, searchOptions, state);
+    // Request one more result than the limit to determine whether there are more results
+    const options = {debounce: cfg.debounce, timeout: cfg.timeout};
+    SearchRequest.get(cfg.key, requestId, serviceUrl, {params: {...params, limit: params.limit + 1}}, options)
+        .then(response => dispatch(parametrizedSearchResults(cfg, response.data, requestId, params, params.limit)))
+        .catch(error => {
+            if (!SearchRequest.isCancel(error)) {
+                dispatch(parametrizedSearchError(cfg, error, requestId));
+            }
+        });
+}
+
+function parametrizedMoreResults(cfg, moreItem, text, requestId, dispatch) {
+    const serviceUrl = ConfigUtils.getConfigProp("searchServiceUrl");
+    const params = {...moreItem.params, searchtext: text, category: moreItem.category};
+    delete params.limit;
+    SearchRequest.get(cfg.key, requestId, serviceUrl, {params: params}, {debounce: 0, timeout: cfg.timeout})
+        .then(response => dispatch(parametrizedSearchResults(cfg, response.data, requestId, params)))
+        .catch(error => {
+            if (!SearchRequest.isCancel(error)) {
+                dispatch(parametrizedSearchError(cfg, error, requestId));
+            }
+        });
 }
 
 /** ************************************************************************ **/
 
-function layerSearch(text, requestId, searchOptions, dispatch) {
-    const results = [];
-    if (text === "bahnhof") {
-        const layer = {
-            sublayers: [
-                {
-                    name: "a",
-                    title: "a",
-                    visibility: true,
-                    queryable: true,
-                    displayField: "maptip",
-                    opacity: 255,
-                    bbox: {
-                        crs: "EPSG:4326",
-                        bounds: [
-                            8.53289,
-                            47.3768,
-                            8.54141,
-                            47.3803
-                        ]
-                    }
-                }
-            ]
+let layerSearchIndex = {themes: null, entries: []};
+
+function layerSearch(text, requestId, searchOptions, dispatch, state) {
+    // (Re-)build the index whenever the themes change
+    const themes = state.theme.themes;
+    if (layerSearchIndex.themes !== themes) {
+        layerSearchIndex = {themes: themes, entries: LayerSearchIndex.build(themes)};
+    }
+    const currentTheme = state.theme.current;
+    const allowOtherThemes = ConfigUtils.getConfigProp("allowAddingOtherThemes", currentTheme);
+    const entries = layerSearchIndex.entries.filter(entry => allowOtherThemes || (currentTheme && entry.theme.id === currentTheme.id));
+    const items = LayerSearchIndex.search(entries, text).map(match => {
+        // Add the layer within its groups, all made visible
+        const leaf = {...match.layer, visibility: true, bbox: match.layer.bbox || match.theme.bbox};
+        const sublayer = match.ancestors.reduceRight((child, group) => ({...group, visibility: true, sublayers: [child]}), leaf);
+        let layer = null;
+        if (currentTheme && match.theme.id === currentTheme.id) {
+            layer = {sublayers: [sublayer]};
+        } else {
+            // Layers of other themes are added as separate theme layer
+            layer = ThemeUtils.createThemeLayer(match.theme, themes, LayerRole.USERLAYER, [sublayer]);
+        }
+        const context = [match.theme.title, ...match.path.slice(0, -1)].join(" › ");
+        return {
+            type: SearchResultType.THEMELAYER,
+            id: match.theme.id + ":" + match.path.join("/"),
+            text: (match.layer.title || match.layer.name) + "<br/><i>" + context + "</i>",
+            layer: layer
         };
+    });
+    const results = [];
+    if (items.length > 0) {
         results.push({
             id: "layers",
-            title: "Layers",
-            items: [{
-                type: SearchResultType.THEMELAYER,
-                id: "bahnhof",
-                text: "Bahnhof",
-                layer: layer
-            }]
+            titlemsgid: "search.layers",
+            items: items
         });
     }
     dispatch(addSearchResults({data: results, provider: "layers", reqId: requestId}, true));
@@ -454,6 +869,42 @@ function layerSearch(text, requestId, searchOptions, dispatch) {
 
 /** ************************************************************************ **/
 
+function historySearch(text, requestId, searchOptions, dispatch, state) {
+    const themeId = state.theme.current ? state.theme.current.id : null;
+    const matches = SearchHistory.search(themeId, text);
+    const historyItems = (entries, prefix) => entries.map((entry, idx) => ({
+        type: SearchResultType.PLACE,
+        id: prefix + idx,
+        text: entry.text,
+        label: entry.label,
+        x: entry.x,
+        y: entry.y,
+        crs: entry.crs,
+        bbox: entry.bbox
+    }));
+    const results = [];
+    if (matches.favourites.length > 0) {
+        results.push({
+            id: "historyfavourites",
+            titlemsgid: "searchhistory.favourites",
+            // Before all other results, including the merged results of SearchResultMerger.js
+            priority: 2001,
+            items: historyItems(matches.favourites, "favourite")
+        });
+    }
+    if (matches.recent.length > 0) {
+        results.push({
+            id: "historyrecent",
+            titlemsgid: "searchhistory.recent",
+            priority: 2000,
+            items: historyItems(matches.recent, "recent")
+        });
+    }
+    dispatch(addSearchResults({data: results, provider: "history", reqId: requestId}, true));
+}
+
+/** ************************************************************************ **/
+
 export const SearchProviders = {
     coordinates: {
         labelmsgid: "search.coordinates",
@@ -462,6 +913,7 @@ export const SearchProviders = {
     geoadmin: {
         label: "Swisstopo",
         onSearch: geoAdminLocationSearch,
+        reverseGeocode: geoAdminReverseGeocode,
         requiresLayer: "a" // Make provider availability depend on the presence of a theme WMS layer
     },
     uster: {
@@ -482,11 +934,17 @@ export const SearchProviders = {
     },
     nominatim: {
         label: "OpenStreetMap",
-        onSearch: nominatimSearch
+        onSearch: nominatimSearch,
+        reverseGeocode: nominatimReverseGeocode
     },
     layers: {
-        label: "Layers",
+        labelmsgid: "search.layers",
         onSearch: layerSearch
+    },
+    history: {
+        labelmsgid: "appmenu.items.SearchHistory",
+        onSearch: historySearch,
+        mergeResults: false
     }
 };
 
@@ -494,9 +952,15 @@ export function searchProviderFactory(cfg) {
     // Note: cfg corresponds to an entry of the theme searchProviders array in themesConfig.json, in this case
     //   { key: <providerKey>, label: <label>, param: <param>, ...}
     // The entry must have at least a `key`.
+    if (cfg.type === "json" || cfg.type === "geojson") {
+        return configurableSearchProvider(cfg);
+    } else if (cfg.type === "gazetteer") {
+        return gazetteerSearchProvider(cfg);
+    }
     return {
         label: cfg.label,
-        onSearch: (text, requestId, searchOptions, dispatch) => parametrizedSearch(cfg, text, requestId, searchOptions, dispatch),
-        requiresLayer: cfg.layerName
+        onSearch: (text, requestId, searchOptions, dispatch, state) => parametrizedSearch(cfg, text, requestId, searchOptions, dispatch, state),
+        getMoreResults: (moreItem, text, requestId, dispatch) => parametrizedMoreResults(cfg, moreItem, text, requestId, dispatch),
+        requiresLayer: cfg.requiresLayer || cfg.layerName
     };
 }
@@ -0,0 +1,150 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import axios from 'axios';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+
+/**
+ * Shared request layer for search providers.
+ *
+ * - Requests are delayed by the provider debounce interval and cancelled as
+ *   soon as the same provider issues a request for a newer search request id
+ *   of the same origin. The origin is the part of the request id before the
+ *   last `:`, ids without `:` (i.e. the ids of the search field) share the
+ *   default origin. This way, searches of different callers, see
+ *   SearchRunner.js, do not cancel each other.
+ * - Requests time out after the provider timeout.
+ * - Successful responses are cached for the provider cache lifetime.
+ *
+ * The settings can be adjusted per provider in the `searchRequestOptions`
+ * entry of config.json, i.e. `{"default": {...}, "nominatim": {"debounce": 1000}}`.
+ */
+
+const DEFAULT_OPTIONS = {
+    debounce: 250,
+    timeout: 10000,
+    cacheTtl: 300000,
+    cacheSize: 100
+};
+
+// provider + origin -> {requestId, requests: [...]}
+const pendingRequests = {};
+// url + params -> {timestamp, response}
+const responseCache = new Map();
+
+function requestOptions(provider, options) {
+    const configOptions = ConfigUtils.getConfigProp("searchRequestOptions") || {};
+    const result = {...DEFAULT_OPTIONS, ...configOptions.default, ...configOptions[provider]};
+    Object.entries(options || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+function requestOrigin(requestId) {
+    const id = String(requestId);
+    return id.includes(":") ? id.slice(0, id.lastIndexOf(":")) : "";
+}
+
+function cacheLookup(key, ttl) {
+    const entry = responseCache.get(key);
+    if (entry && Date.now() - entry.timestamp <= ttl) {
+        return entry.response;
+    }
+    responseCache.delete(key);
+    return null;
+}
+
+function cacheStore(key, response, size) {
+    responseCache.delete(key);
+    responseCache.set(key, {timestamp: Date.now(), response: {data: response.data, status: response.status}});
+    // Map preserves insertion order, evict the oldest entries first
+    while (responseCache.size > size) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+}
+
+const SearchRequest = {
+    /**
+     * Issues a GET request on behalf of a search provider.
+     *
+     * @param provider The provider key
+     * @param requestId The search request id passed to the provider, optionally
+     *        prefixed with its origin, i.e. `search3:1`
+     * @param url The request URL
+     * @param config Optional axios request config, i.e. `{params: {...}}`
+     * @param options Optional {debounce, timeout, cacheTtl, cacheSize} overrides
+     * @return A promise resolving to the axios response. The promise is
+     *         rejected with a cancellation error if the request was superseded,
+     *         see `isCancel`.
+     */
+    get(provider, requestId, url, config = {}, options = {}) {
+        const opts = requestOptions(provider, options);
+        const pendingKey = provider + "|" + requestOrigin(requestId);
+        const pending = pendingRequests[pendingKey];
+        if (pending && pending.requestId !== requestId) {
+            pending.requests.forEach(request => request.cancel());
+            delete pendingRequests[pendingKey];
+        }
+        const cacheKey = url + "?" + JSON.stringify(config.params || {});
+        const cached = opts.cacheTtl > 0 ? cacheLookup(cacheKey, opts.cacheTtl) : null;
+        if (cached) {
+            return Promise.resolve(cached);
+        }
+        if (!pendingRequests[pendingKey]) {
+            pendingRequests[pendingKey] = {requestId: requestId, requests: []};
+        }
+        return new Promise((resolve, reject) => {
+            const source = axios.CancelToken.source();
+            const request = {};
+            const finish = () => {
+                const current = pendingRequests[pendingKey];
+                // Superseded requests are no longer part of the pending entry
+                if (current && current.requests.includes(request)) {
+                    current.requests = current.requests.filter(entry => entry !== request);
+                    if (current.requests.length === 0) {
+                        // Searches of other callers use their own origin, do not accumulate them
+                        delete pendingRequests[pendingKey];
+                    }
+                }
+            };
+            request.cancel = () => {
+                clearTimeout(request.timer);
+                source.cancel("Superseded by search request " + requestId);
+                reject(new axios.Cancel("Superseded search request"));
+            };
+            request.timer = setTimeout(() => {
+                axios.get(url, {...config, timeout: opts.timeout, cancelToken: source.token}).then(response => {
+                    finish();
+                    if (opts.cacheTtl > 0) {
+                        cacheStore(cacheKey, response, opts.cacheSize);
+                    }
+                    resolve(response);
+                }).catch(error => {
+                    finish();
+                    reject(error);
+                });
+            }, opts.debounce);
+            pendingRequests[pendingKey].requests.push(request);
+        });
+    },
+    /**
+     * Returns whether the specified error denotes a superseded request, in which
+     * case the provider should not dispatch any results.
+     */
+    isCancel(error) {
+        return axios.isCancel(error);
+    },
+    clearCache() {
+        responseCache.clear();
+    }
+};
+
+export default SearchRequest;
@@ -0,0 +1,192 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {ADD_SEARCH_RESULTS, SearchResultType} from 'qwc2/actions/search';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import CoordinatesUtils from 'qwc2/utils/CoordinatesUtils';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import FuzzyMatch from './FuzzyMatch';
+import './style/SearchResultMerger.css';
+
+/**
+ * Optional merge stage for the results of multiple search providers.
+ *
+ * If `searchResultMerging` is set in config.json or in the theme config, the
+ * location results reported by the providers of a search request are merged
+ * into a single list: results with similar texts at nearby positions are
+ * de-duplicated, and the remaining results are ranked by text similarity and
+ * distance to the current view. Each result lists the providers which
+ * reported it. Other results (layers, "More..." entries) and the results of
+ * providers with `mergeResults: false` (the search history) are kept in their
+ * original groups.
+ *
+ * The provider badges are appended to the `text` of the merged results, the
+ * original text of the provider is kept in `sourceText`, i.e. for recording
+ * the result in the search history.
+ *
+ * Each time a provider reports, the merged results of all providers which
+ * reported so far replace the current search results.
+ */
+
+const DEFAULT_OPTIONS = {
+    duplicateDistance: 100, // meters
+    duplicateSimilarity: 0.8,
+    textWeight: 0.7,
+    maxResults: 50
+};
+
+// key -> wrapped provider
+const providers = {};
+// The results reported for the current search request
+let pending = {requestId: null, text: "", reported: {}};
+
+function mergeOptions(state) {
+    const options = ConfigUtils.getConfigProp("searchResultMerging", state.theme.current);
+    return options ? {...DEFAULT_OPTIONS, ...options} : null;
+}
+
+function providerLabel(key) {
+    const provider = providers[key] || {};
+    return provider.labelmsgid ? LocaleUtils.tr(provider.labelmsgid) : (provider.label || key);
+}
+
+function plainText(text) {
+    return String(text || "").replace(/<[^>]*>/g, " ");
+}
+
+function isMergeable(item) {
+    return !item.more && (item.type === undefined || item.type === SearchResultType.PLACE) &&
+        item.x !== undefined && item.y !== undefined && item.crs;
+}
+
+function textSimilarity(a, b) {
+    // Match the shorter text against the longer one
+    return a.length <= b.length ? FuzzyMatch.score(a, b) : FuzzyMatch.score(b, a);
+}
+
+function isDuplicate(a, b, tolerance, options) {
+    const dist = Math.sqrt(Math.pow(a.pos[0] - b.pos[0], 2) + Math.pow(a.pos[1] - b.pos[1], 2));
+    return dist <= tolerance && textSimilarity(a.plainText, b.plainText) >= options.duplicateSimilarity;
+}
+
+function mergeResults(text, reported, state, options) {
+    const mapCrs = state.map.projection;
+    // Meters to map units
+    const tolerance = options.duplicateDistance / (CoordinatesUtils.getUnits(mapCrs) === "degrees" ? 111320 : 1);
+    const bounds = state.map.bbox.bounds;
+    const viewRadius = 0.5 * Math.sqrt(Math.pow(bounds[2] - bounds[0], 2) + Math.pow(bounds[3] - bounds[1], 2)) || 1;
+    const center = state.map.center;
+
+    const candidates = [];
+    const otherGroups = [];
+    Object.entries(reported).forEach(([provider, groups]) => {
+        if ((providers[provider] || {}).mergeResults === false) {
+            otherGroups.push(...groups);
+            return;
+        }
+        groups.forEach(group => {
+            const others = [];
+            group.items.forEach(item => {
+                if (!isMergeable(item)) {
+                    others.push(item);
+                    return;
+                }
+                const pos = CoordinatesUtils.reproject([item.x, item.y], item.crs, mapCrs);
+                const itemText = plainText(item.text);
+                const dist = Math.sqrt(Math.pow(pos[0] - center[0], 2) + Math.pow(pos[1] - center[1], 2));
+                const score = options.textWeight * FuzzyMatch.score(text, itemText) + (1 - options.textWeight) / (1 + dist / viewRadius);
+                candidates.push({item: item, provider: provider, pos: pos, plainText: itemText, score: score});
+            });
+            if (others.length > 0) {
+                otherGroups.push({...group, items: others});
+            }
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+
+    // Best scored results first, fold lower scored duplicates into them
+    const merged = [];
+    candidates.forEach(candidate => {
+        const duplicate = merged.find(entry => isDuplicate(entry, candidate, tolerance, options));
+        if (duplicate) {
+            if (!duplicate.providers.includes(candidate.provider)) {
+                duplicate.providers.push(candidate.provider);
+            }
+        } else {
+            merged.push({...candidate, providers: [candidate.provider]});
+        }
+    });
+
+    const items = merged.slice(0, options.maxResults).map(entry => {
+        const badges = entry.providers.map(provider => '<span class="search-result-provider">' + providerLabel(provider) + '</span>').join("");
+        return {
+            ...entry.item,
+            text: entry.item.text + '<div class="search-result-providers">' + badges + '</div>',
+            sourceText: entry.item.text,
+            label: entry.item.label !== undefined ? entry.item.label : plainText(entry.item.text).trim(),
+            providers: entry.providers
+        };
+    });
+    const results = [];
+    if (items.length > 0) {
+        results.push({
+            id: "mergedresults",
+            titlemsgid: "search.mergedresults",
+            priority: 1000,
+            items: items
+        });
+    }
+    return results.concat(otherGroups);
+}
+
+function wrapProvider(key, provider) {
+    if (!provider || !provider.onSearch) {
+        return provider;
+    }
+    providers[key] = provider;
+    return {
+        ...provider,
+        onSearch: (text, requestId, searchOptions, dispatch, state) => {
+            const options = mergeOptions(state);
+            if (!options) {
+                provider.onSearch(text, requestId, searchOptions, dispatch, state);
+                return;
+            }
+            if (pending.requestId !== requestId) {
+                pending = {requestId: requestId, text: text, reported: {}};
+            }
+            const mergingDispatch = (action) => {
+                if (action.type !== ADD_SEARCH_RESULTS || action.results.reqId !== pending.requestId) {
+                    return dispatch(action);
+                }
+                pending.reported[action.results.provider] = action.results.data;
+                // Replace the current results with the merged results of all providers reported so far
+                const data = mergeResults(pending.text, pending.reported, state, options);
+                return dispatch({...action, results: {...action.results, data: data}, append: false});
+            };
+            provider.onSearch(text, requestId, searchOptions, mergingDispatch, state);
+        }
+    };
+}
+
+const SearchResultMerger = {
+    /**
+     * Wraps the providers of a SearchProviders dictionary, see module description.
+     */
+    wrapProviders(searchProviders) {
+        return Object.entries(searchProviders).reduce((res, [key, provider]) => ({...res, [key]: wrapProvider(key, provider)}), {});
+    },
+    /**
+     * Wraps a searchProviderFactory, see module description.
+     */
+    wrapFactory(providerFactory) {
+        return (cfg) => wrapProvider(cfg.key, providerFactory(cfg));
+    }
+};
+
+export default SearchResultMerger;
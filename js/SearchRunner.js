@@ -0,0 +1,106 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {ADD_SEARCH_RESULTS} from 'qwc2/actions/search';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+
+let requestCounter = 0;
+
+/**
+ * Runs searches outside of the search field, i.e. on behalf of the API.
+ */
+const SearchRunner = {
+    /**
+     * Returns the search providers of the specified theme.
+     *
+     * @param theme The theme
+     * @param searchProviders The SearchProviders dictionary
+     * @param providerFactory The searchProviderFactory
+     * @param keys Optional, restrict the providers to the specified keys
+     * @return A dictionary {key: provider}
+     */
+    themeProviders(theme, searchProviders, providerFactory, keys = null) {
+        const providers = {};
+        ((theme || {}).searchProviders || []).forEach(entry => {
+            const key = typeof entry === "object" ? entry.key : entry;
+            const provider = typeof entry === "object" ? providerFactory(entry) : searchProviders[entry];
+            if (provider && (!keys || keys.includes(key))) {
+                providers[key] = provider;
+            }
+        });
+        return providers;
+    },
+    /**
+     * Searches the specified providers.
+     *
+     * @param providers A dictionary {key: provider}, see `themeProviders`
+     * @param text The search text
+     * @param state The application state passed to the providers, at least {map, theme}
+     * @param options Optional {searchOptions, timeout}, where `searchOptions` are
+     *        passed to the providers and `timeout` is the time in milliseconds
+     *        after which providers which have not yet reported are skipped.
+     * @return A promise resolving to the list of location and layer result
+     *         items, in provider order. Each item is augmented with its
+     *         `provider`, `providerLabel` and `group` title.
+     */
+    run(providers, text, state, options = {}) {
+        // Each run is its own request origin, so that concurrent runs and the
+        // search field do not cancel each other's requests, see SearchRequest.js
+        const requestId = "search" + (++requestCounter) + ":1";
+        const keys = Object.keys(providers);
+        const searchOptions = {
+            mapcrs: state.map.projection,
+            displaycrs: state.map.projection,
+            lang: LocaleUtils.lang(),
+            ...options.searchOptions
+        };
+        return new Promise((resolve) => {
+            const reported = {};
+            let timer = null;
+            const finish = () => {
+                clearTimeout(timer);
+                resolve(keys.filter(key => reported[key]).reduce((items, key) => {
+                    const label = providers[key].labelmsgid ? LocaleUtils.tr(providers[key].labelmsgid) : (providers[key].label || key);
+                    reported[key].forEach(group => {
+                        const title = group.titlemsgid ? LocaleUtils.tr(group.titlemsgid) : group.title;
+                        group.items.filter(item => !item.more).forEach(item => {
+                            items.push({provider: key, ...item, providerLabel: label, group: title});
+                        });
+                    });
+                    return items;
+                }, []));
+            };
+            const providerDispatch = (key) => {
+                const dispatch = (action) => {
+                    // Providers may dispatch thunks, like to the redux store
+                    if (typeof action === "function") {
+                        return action(dispatch, () => state);
+                    }
+                    if (action.type === ADD_SEARCH_RESULTS && action.results.reqId === requestId && !reported[key]) {
+                        reported[key] = action.results.data;
+                        if (keys.every(entry => reported[entry])) {
+                            finish();
+                        }
+                    }
+                    return action;
+                };
+                return dispatch;
+            };
+            if (keys.length === 0) {
+                resolve([]);
+                return;
+            }
+            timer = setTimeout(finish, options.timeout || 10000);
+            keys.forEach(key => {
+                providers[key].onSearch(text, requestId, searchOptions, providerDispatch(key), state);
+            });
+        });
+    }
+};
+
+export default SearchRunner;
@@ -0,0 +1,160 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import LocaleUtils from 'qwc2/utils/LocaleUtils';
+import MapUtils from 'qwc2/utils/MapUtils';
+
+/**
+ * Adapts an attribute calculator returning structured entries, possibly
+ * asynchronously, to the `attributeCalculator` hook of the Identify plugin.
+ *
+ * The calculator is invoked as `calculator(layer, feature, context)`, where
+ * context is `{crs, scale, clickPos, lang, theme}`, and returns a list (or a promise
+ * resolving to a list) of `{title, value, link, type}` entries, where `type`
+ * is one of `text` (default), `number`, `date`, `bool`, `html` or `image`.
+ * Returning `<tr>` elements as in previous versions is still supported.
+ *
+ * The results are cached per feature, failed calculations are retried the
+ * next time the feature is displayed. Once resolved, the structured entries
+ * are stored as `customAttributes` in the feature, so that they are included
+ * when exporting the identify results.
+ */
+
+// feature -> promise resolving to the calculated entries
+const calculations = new WeakMap();
+
+function safeLink(link) {
+    // Only web, mail and phone links, i.e. no javascript: URLs
+    try {
+        const url = new URL(link, window.location.href);
+        return ["http:", "https:", "mailto:", "tel:"].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function renderValue(entry) {
+    let value = entry.value;
+    switch (entry.type) {
+    case "number":
+        value = typeof value === "number" ? value.toLocaleString(LocaleUtils.lang()) : value;
+        break;
+    case "date":
+        value = value ? new Date(value).toLocaleDateString(LocaleUtils.lang()) : value;
+        break;
+    case "bool":
+        value = value ? "✔" : "✖";
+        break;
+    case "html":
+        return (<span dangerouslySetInnerHTML={{__html: value}} />);
+    case "image":
+        value = (<img className="identify-attr-image" src={value} />);
+        break;
+    default:
+        value = value === undefined || value === null ? "" : String(value);
+    }
+    const link = entry.link ? safeLink(entry.link) : null;
+    if (link) {
+        return (<a href={link} rel="noopener noreferrer" target="_blank">{value}</a>);
+    }
+    return value;
+}
+
+class StructuredAttributes extends React.Component {
+    static propTypes = {
+        calculator: PropTypes.func,
+        clickPos: PropTypes.array,
+        crs: PropTypes.string,
+        feature: PropTypes.object,
+        layer: PropTypes.string,
+        scale: PropTypes.number,
+        theme: PropTypes.object
+    }
+    state = {
+        entries: null,
+        error: null
+    }
+    componentDidMount() {
+        this.load();
+    }
+    componentDidUpdate(prevProps) {
+        if (this.props.feature !== prevProps.feature || this.props.layer !== prevProps.layer) {
+            this.load();
+        }
+    }
+    componentWillUnmount() {
+        this.unmounted = true;
+    }
+    load = () => {
+        const {calculator, feature, layer} = this.props;
+        if (!calculations.has(feature)) {
+            const context = {crs: this.props.crs, scale: this.props.scale, clickPos: this.props.clickPos, lang: LocaleUtils.lang(), theme: this.props.theme};
+            const calculation = new Promise(resolve => resolve(calculator(layer, feature, context))).then(entries => {
+                entries = entries || [];
+                // Include the structured entries in the identify results export
+                feature.customAttributes = entries.filter(entry => !React.isValidElement(entry)).map(entry => ({
+                    title: entry.title, value: entry.value, link: entry.link, type: entry.type || "text"
+                }));
+                return entries;
+            });
+            calculation.catch(() => calculations.delete(feature));
+            calculations.set(feature, calculation);
+        }
+        this.setState({entries: null, error: null});
+        calculations.get(feature).then(entries => {
+            if (!this.unmounted && this.props.feature === feature) {
+                this.setState({entries: entries});
+            }
+        }).catch(error => {
+            if (!this.unmounted && this.props.feature === feature) {
+                this.setState({error: String(error && error.message ? error.message : error)});
+            }
+        });
+    }
+    render() {
+        if (this.state.error) {
+            return (
+                <tr>
+                    <td className="identify-attr-value" colSpan="2"><i>{LocaleUtils.tr("identify.customattributeserror") + ": " + this.state.error}</i></td>
+                </tr>
+            );
+        } else if (!this.state.entries) {
+            return (
+                <tr>
+                    <td className="identify-attr-value" colSpan="2"><i>{LocaleUtils.tr("identify.customattributesloading")}</i></td>
+                </tr>
+            );
+        }
+        return (
+            <React.Fragment>
+                {this.state.entries.map((entry, idx) => React.isValidElement(entry) ? entry : (
+                    <tr key={"custom-attr-" + idx}>
+                        <td className="identify-attr-title"><i>{entry.title}</i></td>
+                        <td className="identify-attr-value">{renderValue(entry)}</td>
+                    </tr>
+                ))}
+            </React.Fragment>
+        );
+    }
+}
+
+const ConnectedStructuredAttributes = connect((state) => ({
+    clickPos: state.map.click ? state.map.click.coordinate : null,
+    crs: state.map.projection,
+    scale: MapUtils.computeForZoom(state.map.scales, state.map.zoom),
+    theme: state.theme.current
+}))(StructuredAttributes);
+
+export function structuredAttributeCalculator(calculator) {
+    return (layer, feature) => [(
+        <ConnectedStructuredAttributes calculator={calculator} feature={feature} key="custom-attrs" layer={layer} />
+    )];
+}
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {connect} from 'react-redux';
+import {addLayerFeatures} from 'qwc2/actions/layers';
+import MapUtils from 'qwc2/utils/MapUtils';
+import VectorLayerUtils from 'qwc2/utils/VectorLayerUtils';
+import StyledLayers from './StyledLayers';
+
+/**
+ * Extends `window.qwc2.addLayerFeatures` with the `style`, `cluster`,
+ * `onClick` and `onHover` layer properties, see js/StyledLayers.js.
+ *
+ * Must be mounted after the API plugin has populated `window.qwc2`.
+ */
+class StyledLayerManager extends React.Component {
+    static propTypes = {
+        addLayerFeatures: PropTypes.func,
+        click: PropTypes.object,
+        /* Hit tolerance in pixels for the click and hover callbacks */
+        hitTolerance: PropTypes.number,
+        map: PropTypes.object,
+        mousePosition: PropTypes.object
+    }
+    static defaultProps = {
+        hitTolerance: 8
+    }
+    // layer id -> {layer, features, style, cluster, onClick, onHover, rendered}
+    layers = {}
+    hovered = null
+    componentDidMount() {
+        const apiAddLayerFeatures = window.qwc2.addLayerFeatures;
+        const apiRemoveLayerFeatures = window.qwc2.removeLayerFeatures;
+        const apiRemoveLayer = window.qwc2.removeLayer;
+        window.qwc2.addLayerFeatures = (layer, features, clear = false) => {
+            if (!StyledLayers.isStyled(layer) && !this.layers[layer.id]) {
+                return apiAddLayerFeatures(layer, features, clear);
+            }
+            const {style, cluster, onClick, onHover, ...layerProps} = layer;
+            const prev = this.layers[layer.id];
+            const ids = features.map(feature => feature.id);
+            this.layers[layer.id] = {
+                layer: layerProps,
+                features: [...(prev && !clear ? prev.features.filter(feature => !ids.includes(feature.id)) : []), ...features],
+                style: style || (prev ? prev.style : null),
+                cluster: cluster || (prev ? prev.cluster : null),
+                onClick: onClick || (prev ? prev.onClick : null),
+                onHover: onHover || (prev ? prev.onHover : null),
+                rendered: []
+            };
+            this.renderLayer(layer.id);
+            return null;
+        };
+        window.qwc2.removeLayerFeatures = (layerId, featureIds, ...args) => {
+            if (!this.layers[layerId]) {
+                return apiRemoveLayerFeatures(layerId, featureIds, ...args);
+            }
+            this.layers[layerId].features = this.layers[layerId].features.filter(feature => !featureIds.includes(feature.id));
+            this.renderLayer(layerId);
+            return null;
+        };
+        window.qwc2.removeLayer = (layerId, ...args) => {
+            delete this.layers[layerId];
+            return apiRemoveLayer(layerId, ...args);
+        };
+    }
+    componentDidUpdate(prevProps) {
+        const map = this.props.map;
+        if (map.zoom !== prevProps.map.zoom || map.projection !== prevProps.map.projection) {
+            Object.keys(this.layers).forEach(layerId => this.renderLayer(layerId));
+        }
+        if (this.props.click !== prevProps.click && this.props.click && this.props.click.coordinate) {
+            const hit = this.hitTest(this.props.click.coordinate, "onClick");
+            if (hit) {
+                this.invoke(hit.entry.onClick, this.hitEvent(hit, this.props.click.coordinate));
+            }
+        }
+        const position = (this.props.mousePosition || {}).position;
+        if (position && position !== ((prevProps.mousePosition || {}).position) && position.coordinate) {
+            this.updateHover(position.coordinate);
+        }
+    }
+    render() {
+        return null;
+    }
+    resolution = () => {
+        const bounds = this.props.map.bbox.bounds;
+        return (bounds[2] - bounds[0]) / this.props.map.size.width;
+    }
+    renderLayer = (layerId) => {
+        const entry = this.layers[layerId];
+        const mapCrs = this.props.map.projection;
+        const features = entry.features.map(feature => StyledLayers.styleFeature(entry.style, {
+            ...feature,
+            geometry: VectorLayerUtils.reprojectGeometry(feature.geometry, feature.crs || mapCrs, mapCrs),
+            crs: mapCrs
+        }));
+        const scale = MapUtils.computeForZoom(this.props.map.scales, this.props.map.zoom);
+        if (entry.cluster && scale >= (entry.cluster.minScale || 0)) {
+            const clusters = StyledLayers.clusterFeatures(features, this.resolution(), entry.cluster);
+            entry.rendered = clusters.map((cluster, idx) => ({
+                feature: cluster.features.length > 1 ? {...StyledLayers.clusterFeature(layerId, cluster, idx, entry.cluster), crs: mapCrs} : cluster.features[0],
+                members: cluster.features
+            }));
+        } else {
+            entry.rendered = features.map(feature => ({feature: feature, members: [feature]}));
+        }
+        this.props.addLayerFeatures(entry.layer, entry.rendered.map(item => item.feature), true);
+    }
+    hitTest = (coordinate, callback) => {
+        const tolerance = this.props.hitTolerance * this.resolution();
+        // Last added layers are on top
+        const layerIds = Object.keys(this.layers).filter(layerId => this.layers[layerId][callback]).reverse();
+        for (const layerId of layerIds) {
+            const entry = this.layers[layerId];
+            const feature = StyledLayers.hitTest(entry.rendered.map(item => item.feature), coordinate, tolerance);
+            if (feature) {
+                return {layerId: layerId, entry: entry, item: entry.rendered.find(item => item.feature === feature)};
+            }
+        }
+        return null;
+    }
+    hitEvent = (hit, coordinate) => {
+        const cleanFeature = (feature) => ({id: feature.id, geometry: feature.geometry, properties: feature.properties, crs: feature.crs});
+        return {
+            layer: hit.layerId,
+            feature: cleanFeature(hit.item.feature),
+            cluster: hit.item.members.length > 1,
+            features: hit.item.members.map(cleanFeature),
+            coordinate: coordinate
+        };
+    }
+    updateHover = (coordinate) => {
+        const hit = this.hitTest(coordinate, "onHover");
+        const hovered = hit ? hit.layerId + ":" + hit.item.feature.id : null;
+        if (hovered === this.hovered) {
+            return;
+        }
+        if (this.hovered && this.hoveredEntry && this.layers[this.hoveredLayer] === this.hoveredEntry) {
+            this.invoke(this.hoveredEntry.onHover, null);
+        }
+        this.hovered = hovered;
+        this.hoveredLayer = hit ? hit.layerId : null;
+        this.hoveredEntry = hit ? hit.entry : null;
+        if (hit) {
+            this.invoke(hit.entry.onHover, this.hitEvent(hit, coordinate));
+        }
+    }
+    invoke = (callback, event) => {
+        try {
+            callback(event);
+        } catch (e) {
+            // Report the error of the API client callback as uncaught error, without breaking the map interaction
+            setTimeout(() => {
+                throw e;
+            }, 0);
+        }
+    }
+}
+
+export default connect((state) => ({
+    click: state.map.click,
+    map: state.map,
+    mousePosition: state.mousePosition
+}), {
+    addLayerFeatures: addLayerFeatures
+})(StyledLayerManager);
@@ -0,0 +1,187 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Rule-based styling, point clustering and hit testing for the feature
+ * layers added through `window.qwc2.addLayerFeatures`.
+ *
+ * The layer may specify:
+ *
+ *   style: {
+ *     default: {<styleOptions>},     // Base style options, see `defaultFeatureStyle` in config.json
+ *     icon: {src, anchor, scale},    // Optional, icon marker for point features
+ *     rules: [{                      // Optional, evaluated in order, all matching rules apply
+ *       property: <name>,
+ *       value: <value>,              // Matches if the property equals the value...
+ *       min: <number>, max: <number>, // ...or lies in the range [min, max)
+ *       style: {<styleOptions>, icon: {...}}
+ *     }, ...]
+ *   },
+ *   cluster: {
+ *     distance: <pixels>,            // Distance within which points are clustered. Default: 40
+ *     minScale: <denominator>,       // Cluster only at scales 1:minScale and smaller. Default: 0
+ *     style: {<styleOptions>}        // Style options of the cluster symbols
+ *   },
+ *   onClick: function(event), onHover: function(event)
+ */
+
+const DEFAULT_CLUSTER_STYLE = {
+    fillColor: [0, 112, 192, 0.8],
+    strokeColor: [255, 255, 255, 1],
+    strokeWidth: 2,
+    strokeDash: [],
+    textFill: "white",
+    textStroke: [0, 112, 192, 1],
+    textFont: "bold 10pt sans-serif"
+};
+
+function ruleMatches(rule, properties) {
+    const value = (properties || {})[rule.property];
+    if (rule.value !== undefined) {
+        return value === rule.value;
+    }
+    const num = Number(value);
+    if (value === undefined || value === null || isNaN(num)) {
+        return false;
+    }
+    return (rule.min === undefined || num >= rule.min) && (rule.max === undefined || num < rule.max);
+}
+
+function distance(a, b) {
+    return Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2));
+}
+
+function segmentDistance(p, a, b) {
+    const len2 = Math.pow(b[0] - a[0], 2) + Math.pow(b[1] - a[1], 2);
+    if (len2 === 0) {
+        return distance(p, a);
+    }
+    const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * (b[0] - a[0]) + (p[1] - a[1]) * (b[1] - a[1])) / len2));
+    return distance(p, [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])]);
+}
+
+function lineDistance(p, coords) {
+    return coords.slice(1).reduce((min, coord, idx) => Math.min(min, segmentDistance(p, coords[idx], coord)), Infinity);
+}
+
+function insideRing(p, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if ((ring[i][1] > p[1]) !== (ring[j][1] > p[1]) &&
+            p[0] < (ring[j][0] - ring[i][0]) * (p[1] - ring[i][1]) / (ring[j][1] - ring[i][1]) + ring[i][0]) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function polygonHit(p, rings, tolerance) {
+    const inside = insideRing(p, rings[0]) && !rings.slice(1).some(ring => insideRing(p, ring));
+    return inside || rings.some(ring => lineDistance(p, ring) <= tolerance);
+}
+
+function geometryHit(geometry, p, tolerance) {
+    switch (geometry.type) {
+    case "Point":
+        return distance(p, geometry.coordinates) <= tolerance;
+    case "MultiPoint":
+        return geometry.coordinates.some(coord => distance(p, coord) <= tolerance);
+    case "LineString":
+        return lineDistance(p, geometry.coordinates) <= tolerance;
+    case "MultiLineString":
+        return geometry.coordinates.some(coords => lineDistance(p, coords) <= tolerance);
+    case "Polygon":
+        return polygonHit(p, geometry.coordinates, tolerance);
+    case "MultiPolygon":
+        return geometry.coordinates.some(rings => polygonHit(p, rings, tolerance));
+    default:
+        return false;
+    }
+}
+
+const StyledLayers = {
+    isStyled(layer) {
+        return !!(layer.style || layer.cluster || layer.onClick || layer.onHover);
+    },
+    /**
+     * Returns the feature with the `styleName` and `styleOptions` resulting from the layer style.
+     */
+    styleFeature(style, feature) {
+        if (!style) {
+            return feature;
+        }
+        let options = {...feature.styleOptions, ...style.default};
+        let icon = style.icon;
+        (style.rules || []).forEach(rule => {
+            if (ruleMatches(rule, feature.properties)) {
+                const {icon: ruleIcon, ...ruleOptions} = rule.style || {};
+                options = {...options, ...ruleOptions};
+                icon = ruleIcon || icon;
+            }
+        });
+        const point = feature.geometry.type === "Point";
+        if (icon && point) {
+            return {
+                ...feature,
+                styleName: "marker",
+                styleOptions: {...options, iconSrc: icon.src, iconAnchor: icon.anchor || [0.5, 1], iconScale: icon.scale || 1}
+            };
+        }
+        return {...feature, styleName: feature.styleName || "default", styleOptions: options};
+    },
+    /**
+     * Groups the point features which are within `options.distance` pixels of each other.
+     *
+     * @param features The features, in map CRS
+     * @param resolution The map resolution, in map units per pixel
+     * @return The list of clusters {center, features}. Non-point features form single-feature clusters.
+     */
+    clusterFeatures(features, resolution, options) {
+        const maxDistance = (options.distance || 40) * resolution;
+        const clusters = [];
+        features.forEach(feature => {
+            if (feature.geometry.type !== "Point") {
+                clusters.push({center: null, features: [feature]});
+                return;
+            }
+            const coord = feature.geometry.coordinates;
+            const cluster = clusters.find(entry => entry.center && distance(entry.center, coord) <= maxDistance);
+            if (cluster) {
+                const count = cluster.features.push(feature);
+                cluster.center = [
+                    cluster.center[0] + (coord[0] - cluster.center[0]) / count,
+                    cluster.center[1] + (coord[1] - cluster.center[1]) / count
+                ];
+            } else {
+                clusters.push({center: [...coord], features: [feature]});
+            }
+        });
+        return clusters;
+    },
+    /**
+     * Returns the feature representing a cluster of multiple features.
+     */
+    clusterFeature(layerId, cluster, idx, options) {
+        const count = cluster.features.length;
+        return {
+            id: layerId + ":cluster" + idx,
+            geometry: {type: "Point", coordinates: cluster.center},
+            properties: {label: String(count), count: count},
+            styleName: "default",
+            styleOptions: {...DEFAULT_CLUSTER_STYLE, circleRadius: 10 + 2 * Math.log(count), ...options.style}
+        };
+    },
+    /**
+     * Returns the first feature whose geometry lies within `tolerance` of the coordinate.
+     */
+    hitTest(features, coordinate, tolerance) {
+        return features.find(feature => geometryHit(feature.geometry, coordinate, tolerance)) || null;
+    }
+};
+
+export default StyledLayers;
@@ -0,0 +1,147 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+import {LayerRole} from 'qwc2/actions/layers';
+import {SearchResultType} from 'qwc2/actions/search';
+import {THEMES_LOADED} from 'qwc2/actions/theme';
+import ConfigUtils from 'qwc2/utils/ConfigUtils';
+import ThemeUtils from 'qwc2/utils/ThemeUtils';
+import LayerRestoreReport from './LayerRestoreReport';
+import SearchRunner from './SearchRunner';
+
+/**
+ * Restores the layers of a permalink (`l` url parameter) which are missing in
+ * the theme, see `themeLayerRestorer` in appConfig.js.
+ *
+ * The missing layers are looked up by name in the other themes. Layers of
+ * themes sharing the WMS of the theme are merged into the theme, layers of
+ * other themes are added as separate layers if `allowAddingOtherThemes` is
+ * enabled. Layers not found in any theme are searched with the search
+ * providers listed in `themeLayerRestorerSearchProviders`.
+ */
+
+// Time in milliseconds to wait for the search providers
+const SEARCH_TIMEOUT = 5000;
+
+// The themes tree, tracked through the actionLogger
+let themes = null;
+
+function findLayer(layers, name, ancestors = []) {
+    for (const layer of layers || []) {
+        if (layer.name === name) {
+            return {layer, ancestors};
+        }
+        const match = findLayer(layer.sublayers, name, [...ancestors, layer]);
+        if (match) {
+            return match;
+        }
+    }
+    return null;
+}
+
+function themeList(group) {
+    return [...(group.items || []), ...(group.subdirs || []).reduce((res, subdir) => [...res, ...themeList(subdir)], [])];
+}
+
+/**
+ * Returns the layer wrapped in its groups, each group containing only the
+ * next group respectively the layer. The groups are made visible.
+ */
+function prunedLayer(match, visible) {
+    const layer = visible ? {...match.layer, visibility: true} : match.layer;
+    return match.ancestors.reduceRight((child, group) => ({...group, visibility: true, sublayers: [child]}), layer);
+}
+
+/**
+ * Merges a pruned layer into a list of sublayers, combining equally named groups.
+ */
+function mergeLayer(sublayers, layer) {
+    const group = layer.sublayers ? sublayers.find(entry => entry.sublayers && entry.name === layer.name) : null;
+    if (group && layer.sublayers.length === 1) {
+        mergeLayer(group.sublayers, layer.sublayers[0]);
+    } else if (layer.sublayers) {
+        // Copy the groups, which are modified by subsequent merges
+        sublayers.push({...layer, sublayers: [...layer.sublayers]});
+    } else {
+        sublayers.push(layer);
+    }
+}
+
+function restoreFromThemes(name, theme, result) {
+    const allowOtherThemes = ConfigUtils.getConfigProp("allowAddingOtherThemes", theme);
+    const candidates = themeList(themes).filter(entry => entry.id !== theme.id);
+    // Prefer themes whose layers can be merged into the theme
+    candidates.sort((a, b) => (b.url === theme.url) - (a.url === theme.url));
+    for (const other of candidates) {
+        const match = other.url === theme.url || allowOtherThemes ? findLayer(other.sublayers, name) : null;
+        if (match && other.url === theme.url) {
+            mergeLayer(result.newLayers, prunedLayer(match, false));
+            result.newLayerNames[name] = [match.layer.name];
+            return true;
+        } else if (match) {
+            if (!result.otherThemes[other.id]) {
+                result.otherThemes[other.id] = {theme: other, sublayers: []};
+            }
+            const sublayer = {...prunedLayer(match, true), bbox: match.layer.bbox || other.bbox};
+            mergeLayer(result.otherThemes[other.id].sublayers, sublayer);
+            return true;
+        }
+    }
+    return false;
+}
+
+function restoreFromSearchResults(name, theme, items, result) {
+    for (const item of items) {
+        const match = item.type === SearchResultType.THEMELAYER && item.layer ? findLayer(item.layer.sublayers, name) : null;
+        if (match && item.layer.url && item.layer.url !== theme.url) {
+            result.layers.push({...item.layer, sublayers: [prunedLayer(match, true)]});
+            return true;
+        } else if (match) {
+            mergeLayer(result.newLayers, prunedLayer(match, false));
+            result.newLayerNames[name] = [match.layer.name];
+            return true;
+        }
+    }
+    return false;
+}
+
+const ThemeLayerRestorer = {
+    /**
+     * Returns the `themeLayerRestorer` for appConfig.js.
+     *
+     * @param searchProviders The SearchProviders dictionary
+     * @param providerFactory The searchProviderFactory
+     */
+    create(searchProviders, providerFactory) {
+        return (missingLayers, theme, callback) => {
+            const result = {newLayers: [], newLayerNames: {}, otherThemes: {}, layers: []};
+            const remaining = themes ? missingLayers.filter(name => !restoreFromThemes(name, theme, result)) : missingLayers;
+            const keys = ConfigUtils.getConfigProp("themeLayerRestorerSearchProviders", theme) || [];
+            const providers = keys.length > 0 && remaining.length > 0 ? SearchRunner.themeProviders(theme, searchProviders, providerFactory, keys) : {};
+            const state = {map: {projection: theme.mapCrs}, theme: {current: theme, themes: themes}};
+            // Look up the layers one after another, rather than flooding the providers with searches
+            const searches = Object.keys(providers).length > 0 ? remaining.reduce((promise, name) => promise.then(missing => {
+                return SearchRunner.run(providers, name, state, {timeout: SEARCH_TIMEOUT}).then(items => {
+                    return restoreFromSearchResults(name, theme, items, result) ? missing : [...missing, name];
+                });
+            }), Promise.resolve([])) : Promise.resolve(remaining);
+            searches.then(missing => {
+                callback(result.newLayers, result.newLayerNames);
+                const otherLayers = Object.values(result.otherThemes).map(entry => ThemeUtils.createThemeLayer(entry.theme, themes, LayerRole.USERLAYER, entry.sublayers));
+                LayerRestoreReport.report([...otherLayers, ...result.layers], missing);
+            });
+        };
+    },
+    handleAction(action) {
+        if (action.type === THEMES_LOADED) {
+            themes = action.themes;
+        }
+    }
+};
+
+export default ThemeLayerRestorer;
@@ -8,6 +8,20 @@
 
 import {SearchProviders, searchProviderFactory} from './SearchProviders';
 import {renderHelp} from './Help';
+import Accessibility from './Accessibility';
+import Analytics from './Analytics';
+import AccessibilityPlugin from './AccessibilityPlugin';
+import AppAPI from './API';
+import APIEvents from './APIEvents';
+import ColorSchemePlugin from './ColorSchemePlugin';
+import ContextHelp from './ContextHelp';
+import ExternalLayerRestorer from './ExternalLayerRestorer';
+import LayerRestorePlugin from './LayerRestorePlugin';
+import ReverseGeocodingTooltip from './ReverseGeocodingTooltip';
+import OnboardingTourPlugin from './OnboardingTourPlugin';
+import SearchHistoryPlugin, {withSearchHistory} from './SearchHistoryPlugin';
+import SearchResultMerger from './SearchResultMerger';
+import ThemeLayerRestorer from './ThemeLayerRestorer';
 
 import MapPlugin from 'qwc2/plugins/Map';
 import EditingSupport from 'qwc2/plugins/map/EditingSupport';
@@ -49,10 +63,16 @@ import StartupMarkerPlugin from 'qwc2/plugins/StartupMarker';
 import ScratchDrawingPlugin from 'qwc2/plugins/ScratchDrawing';
 import AuthenticationPlugin from 'qwc2/plugins/Authentication';
 import APIPlugin from 'qwc2/plugins/API';
+import EditingInterface from 'qwc2/utils/EditingInterface';
 import {customAttributeCalculator} from './CustomAttributeCalculator';
+import {structuredAttributeCalculator} from './StructuredAttributes';
+import ComputedAttributes from './ComputedAttributes';
 
 import defaultLocaleData from '../translations/en-US.json';
 
+// Log the feature edits to the analytics sinks, see js/Analytics.js
+const editingInterface = Analytics.wrapEditingInterface(EditingInterface);
+
 export default {
     defaultLocaleData: defaultLocaleData,
     initialState: {
@@ -78,7 +98,7 @@ export default {
             BackgroundSwitcherPlugin: BackgroundSwitcherPlugin,
             TopBarPlugin: TopBarPlugin({
                 AppMenu: AppMenu,
-                Search: Search(SearchProviders, searchProviderFactory),
+                Search: withSearchHistory(Search(SearchResultMerger.wrapProviders(SearchProviders), SearchResultMerger.wrapFactory(searchProviderFactory))),
                 Toolbar: Toolbar,
                 FullscreenSwitcher: FullscreenSwitcher
             }),
@@ -91,47 +111,51 @@ export default {
             SharePlugin: SharePlugin,
             MapCopyrightPlugin: MapCopyrightPlugin,
             PrintPlugin: PrintPlugin,
-            HelpPlugin: HelpPlugin(renderHelp),
+            HelpPlugin: ContextHelp(HelpPlugin(renderHelp)),
             DxfExportPlugin: DxfExportPlugin,
             RasterExportPlugin: RasterExportPlugin,
             RedliningPlugin: RedliningPlugin({
                 BufferSupport: BufferSupport
             }),
             // Per default the editing interface qwc2/utils/EditingInterface.js is used
-            // You can pass a custom editing interface here if desired
-            EditingPlugin: EditingPlugin(/* CustomEditingInterface */),
+            // You can pass a custom editing interface here if desired, also pass it to the APIPlugin below
+            EditingPlugin: EditingPlugin(editingInterface),
             MapComparePlugin: MapComparePlugin,
             HeightProfilePlugin: HeightProfilePlugin,
-            MapInfoTooltipPlugin: MapInfoTooltipPlugin,
+            MapInfoTooltipPlugin: ReverseGeocodingTooltip(MapInfoTooltipPlugin, SearchProviders, searchProviderFactory),
             StartupMarkerPlugin: StartupMarkerPlugin,
             ScratchDrawingPlugin: ScratchDrawingPlugin,
             AuthenticationPlugin: AuthenticationPlugin,
-            APIPlugin: APIPlugin
+            APIPlugin: AppAPI(APIPlugin, SearchProviders, searchProviderFactory, editingInterface),
+            SearchHistoryPlugin: SearchHistoryPlugin,
+            OnboardingTourPlugin: OnboardingTourPlugin,
+            ColorSchemePlugin: ColorSchemePlugin,
+            AccessibilityPlugin: AccessibilityPlugin,
+            LayerRestorePlugin: LayerRestorePlugin
         },
         cfg: {
             IdentifyPlugin: {
-                attributeCalculator: customAttributeCalculator
+                attributeCalculator: structuredAttributeCalculator(ComputedAttributes.calculator(customAttributeCalculator))
             }
         }
     },
     actionLogger: (action) => {
-        /* Do something with action, i.e. Piwik/Mamoto event tracking */
+        // Emit the window.qwc2 API events
+        APIEvents.handleAction(action);
+        // Announce search and identify results to screen readers
+        Accessibility.handleAction(action);
+        // Log the configured actions to the analytics sinks
+        Analytics.handleAction(action);
+        // Track the themes in which missing permalink layers are looked up
+        ThemeLayerRestorer.handleAction(action);
+        // Track the map projection for which external layers are restored
+        ExternalLayerRestorer.handleAction(action);
     },
-    themeLayerRestorer: (missingLayers, theme, callback) => {
-        // Invoked for layers specified in the l url parameter which are missing in the specified theme
-        // Could be used to query a search provider for the missing theme layers
-
-        // A list of theme layers to merge into the theme
-        let newLayers = [];
-
-        // A dictionary mapping the name of the searched layer name with the resulting layer name(s) as an array, i.e.
-        // {searchlayername: ["resultlayername1", "resultlayername2"], ...}
-        let newLayerNames = {};
-
-        callback(newLayers, newLayerNames);
-    }
-    /*externalLayerRestorer: (externalLayers, themes, callback) => {
-        // Optional function to handle restoring of external layers from the l URL parameter
-        // If omitted, the default handler is used which downloads capabilities for each service to restore the layer
-    }*/
+    // Invoked for layers specified in the l url parameter which are missing in the specified theme.
+    // Looks up the missing layers in the other themes and with the search providers listed in
+    // themeLayerRestorerSearchProviders, see ThemeLayerRestorer.js
+    themeLayerRestorer: ThemeLayerRestorer.create(SearchProviders, searchProviderFactory),
+    // Restores the external layers specified in the l url parameter, caching the service capabilities
+    // in IndexedDB, see ExternalLayerRestorer.js
+    externalLayerRestorer: ExternalLayerRestorer.restore
 };
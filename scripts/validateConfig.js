@@ -0,0 +1,383 @@
+/**
+ * Copyright 2021 Sourcepole AG
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+ */
+
+/**
+ * Validates themesConfig.json and config.json against the JSON schemas in
+ * scripts/schemas, and cross-checks them against the application:
+ * - The search providers of the themes must be keys of `SearchProviders` in
+ *   js/SearchProviders.js, or provider configurations with a `key`.
+ * - The background layers, external layers and theme info links referenced by
+ *   the themes must be defined.
+ * - The plugins of config.json must be registered in `pluginsDef.plugins` in
+ *   js/appConfig.js.
+ * - The projections used must be defined in the `projections` of config.json.
+ *
+ * Usage: node scripts/validateConfig.js [themesConfig.json] [config.json]
+ *
+ * Exits with status 1 if errors were found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.join(__dirname, "..");
+// Projections known to proj4 without definition
+const BUILTIN_PROJECTIONS = ["EPSG:3857", "EPSG:4326", "EPSG:900913", "CRS:84"];
+
+const messages = [];
+
+function pointer(parts) {
+    return "/" + parts.map(part => String(part).replace(/~/g, "~0").replace(/\//g, "~1")).join("/");
+}
+
+/**
+ * Parses JSON text, recording the line and column of every value by its JSON
+ * pointer.
+ */
+function parseLocations(text) {
+    const locations = {};
+    let pos = 0;
+    const lineStarts = [0];
+    for (let idx = text.indexOf("\n"); idx >= 0; idx = text.indexOf("\n", idx + 1)) {
+        lineStarts.push(idx + 1);
+    }
+    const location = (offset) => {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+            ++line;
+        }
+        return {line: line + 1, column: offset - lineStarts[line] + 1};
+    };
+    const skipWhitespace = () => {
+        while (/\s/.test(text[pos])) {
+            ++pos;
+        }
+    };
+    const parseString = () => {
+        const start = pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            pos += text[pos] === "\\" ? 2 : 1;
+        }
+        ++pos;
+        return JSON.parse(text.slice(start, pos));
+    };
+    const parseValue = (parts) => {
+        skipWhitespace();
+        locations[pointer(parts)] = location(pos);
+        if (text[pos] === "{") {
+            ++pos;
+            skipWhitespace();
+            while (text[pos] !== "}" && pos < text.length) {
+                skipWhitespace();
+                const key = parseString();
+                skipWhitespace();
+                ++pos; // :
+                parseValue([...parts, key]);
+                skipWhitespace();
+                if (text[pos] === ",") {
+                    ++pos;
+                }
+                skipWhitespace();
+            }
+            ++pos;
+        } else if (text[pos] === "[") {
+            ++pos;
+            skipWhitespace();
+            for (let idx = 0; text[pos] !== "]" && pos < text.length; ++idx) {
+                parseValue([...parts, idx]);
+                skipWhitespace();
+                if (text[pos] === ",") {
+                    ++pos;
+                }
+                skipWhitespace();
+            }
+            ++pos;
+        } else if (text[pos] === '"') {
+            parseString();
+        } else {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) {
+                ++pos;
+            }
+        }
+    };
+    parseValue([]);
+    return locations;
+}
+
+function loadJson(filename) {
+    const text = fs.readFileSync(filename, "utf8");
+    try {
+        return {filename: filename, data: JSON.parse(text), locations: parseLocations(text)};
+    } catch (e) {
+        messages.push({level: "error", location: filename, text: e.message});
+        return null;
+    }
+}
+
+function report(file, parts, text, level = "error") {
+    // Report missing entries at the closest existing parent
+    const candidates = parts.map((part, idx) => parts.slice(0, parts.length - idx));
+    const found = [...candidates, []].find(candidate => file.locations[pointer(candidate)]);
+    const loc = file.locations[pointer(found)];
+    const location = path.relative(process.cwd(), file.filename) + ":" + loc.line + ":" + loc.column;
+    messages.push({level: level, location: location, text: pointer(parts) + ": " + text});
+}
+
+/** JSON schema validation ****************************************************/
+
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    } else if (Array.isArray(value)) {
+        return "array";
+    } else if (Number.isInteger(value)) {
+        return "integer";
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === "number" && actual === "integer");
+}
+
+/**
+ * Validates a value against a schema, supporting the keywords used in
+ * scripts/schemas. Returns a list of {parts, text} errors.
+ */
+function validateSchema(value, schema, root, parts = []) {
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, "").split("/").reduce((res, key) => res[key], root);
+        return validateSchema(value, target, root, parts);
+    }
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(entry => validateSchema(value, entry, root, parts));
+        if (results.some(errors => errors.length === 0)) {
+            return [];
+        }
+        // Report the errors of the first alternative matching the value type
+        const typed = results.find(errors => !errors.some(error => error.type && error.parts.length === parts.length));
+        return typed || [{parts, text: "Value does not match any of the allowed formats", type: true}];
+    }
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [{parts, text: "Expected " + types.join(" or ") + ", got " + typeOf(value), type: true}];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{parts, text: "Expected one of " + schema.enum.map(entry => JSON.stringify(entry)).join(", ") + ", got " + JSON.stringify(value), type: true}];
+    }
+    const errors = [];
+    if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({parts, text: "Value " + JSON.stringify(value) + " does not match " + schema.pattern});
+    }
+    if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({parts, text: "Value must be at least " + schema.minimum});
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({parts, text: "Expected at least " + schema.minItems + " entries"});
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({parts, text: "Expected at most " + schema.maxItems + " entries"});
+        }
+        if (schema.items) {
+            value.forEach((item, idx) => errors.push(...validateSchema(item, schema.items, root, [...parts, idx])));
+        }
+    } else if (typeOf(value) === "object") {
+        (schema.required || []).filter(key => !(key in value)).forEach(key => {
+            errors.push({parts: [...parts, key], text: "Missing required property"});
+        });
+        Object.entries(value).forEach(([key, entry]) => {
+            if (schema.properties && schema.properties[key]) {
+                errors.push(...validateSchema(entry, schema.properties[key], root, [...parts, key]));
+            } else if (schema.additionalProperties === false) {
+                errors.push({parts: [...parts, key], text: "Unknown property"});
+            } else if (typeof schema.additionalProperties === "object") {
+                errors.push(...validateSchema(entry, schema.additionalProperties, root, [...parts, key]));
+            }
+        });
+    }
+    return errors;
+}
+
+function loadSchema(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, "schemas", name), "utf8"));
+}
+
+/** Application sources *******************************************************/
+
+/**
+ * Returns the keys of the object literal following the marker in a source
+ * file, i.e. `objectKeys(source, "export const SearchProviders =")`.
+ */
+function objectKeys(source, marker) {
+    const start = source.indexOf("{", source.indexOf(marker));
+    if (source.indexOf(marker) < 0 || start < 0) {
+        return null;
+    }
+    const keyRegEx = /^(?:\s|\/\/[^\n]*\n|\/\*[\s\S]*?\*\/)*([A-Za-z_$][\w$]*)\s*:/;
+    const keys = [];
+    let depth = 0;
+    for (let pos = start; pos < source.length; ++pos) {
+        const char = source[pos];
+        if (char === '"' || char === "'" || char === "`") {
+            // Skip string literals
+            for (++pos; pos < source.length && source[pos] !== char; ++pos) {
+                pos += source[pos] === "\\" ? 1 : 0;
+            }
+        } else if (char === "/" && source[pos + 1] === "/") {
+            pos = source.indexOf("\n", pos);
+        } else if (char === "/" && source[pos + 1] === "*") {
+            pos = source.indexOf("*/", pos) + 1;
+        } else if (char === "{" || char === "(" || char === "[") {
+            ++depth;
+        } else if (char === "}" || char === ")" || char === "]") {
+            if (--depth === 0) {
+                break;
+            }
+        }
+        if (depth === 1 && (char === "{" || char === ",")) {
+            const match = source.slice(pos + 1).match(keyRegEx);
+            if (match) {
+                keys.push(match[1]);
+            }
+        }
+    }
+    return keys;
+}
+
+function sourceKeys(filename, marker) {
+    const keys = objectKeys(fs.readFileSync(path.join(rootDir, filename), "utf8"), marker);
+    if (!keys) {
+        messages.push({level: "warning", location: filename, text: "Could not find " + marker + ", skipping the related checks"});
+    }
+    return keys;
+}
+
+/** Cross-checks **************************************************************/
+
+function themeEntries(group, parts) {
+    const items = (group.items || []).map((theme, idx) => ({theme, parts: [...parts, "items", idx]}));
+    return (group.groups || []).reduce((res, subgroup, idx) => [...res, ...themeEntries(subgroup, [...parts, "groups", idx])], items);
+}
+
+function definitions(themesConfig, key) {
+    // Definitions are accepted at top level and in the themes block
+    const entries = [
+        ...(themesConfig[key] || []).map((entry, idx) => ({entry, parts: [key, idx]})),
+        ...((themesConfig.themes || {})[key] || []).map((entry, idx) => ({entry, parts: ["themes", key, idx]}))
+    ];
+    return entries.filter(item => item.entry && typeof item.entry === "object");
+}
+
+function checkThemes(file, providerKeys, projections) {
+    const themesConfig = file.data;
+    const backgroundLayers = definitions(themesConfig, "backgroundLayers");
+    const backgroundNames = backgroundLayers.map(item => item.entry.name);
+    const externalNames = definitions(themesConfig, "externalLayers").map(item => item.entry.name);
+    const infoLinkNames = definitions(themesConfig, "themeInfoLinks").map(item => item.entry.name);
+    const checkCrs = (crs, parts) => {
+        if (projections && typeof crs === "string" && !projections.includes(crs)) {
+            report(file, parts, "Projection " + crs + " is not defined in the projections of config.json");
+        }
+    };
+    backgroundLayers.forEach(({entry, parts}) => {
+        checkCrs(entry.projection, [...parts, "projection"]);
+        (entry.items || []).forEach((item, idx) => {
+            if (item && item.ref !== undefined && !backgroundNames.includes(item.ref)) {
+                report(file, [...parts, "items", idx, "ref"], "Background layer " + JSON.stringify(item.ref) + " is not defined");
+            }
+        });
+    });
+    definitions(themesConfig, "externalLayers").forEach(({entry, parts}) => checkCrs(entry.projection, [...parts, "projection"]));
+    themeEntries(themesConfig.themes || {}, ["themes"]).forEach(({theme, parts}) => {
+        if (!theme || typeof theme !== "object") {
+            return;
+        }
+        (theme.searchProviders || []).forEach((provider, idx) => {
+            if (typeof provider === "string" && providerKeys && !providerKeys.includes(provider)) {
+                report(file, [...parts, "searchProviders", idx], "Unknown search provider " + JSON.stringify(provider) + ", available: " + providerKeys.join(", "));
+            } else if (provider && typeof provider === "object") {
+                checkCrs(provider.crs, [...parts, "searchProviders", idx, "crs"]);
+            }
+        });
+        (theme.backgroundLayers || []).forEach((layer, idx) => {
+            if (layer && typeof layer.name === "string" && !backgroundNames.includes(layer.name)) {
+                report(file, [...parts, "backgroundLayers", idx, "name"], "Background layer " + JSON.stringify(layer.name) + " is not defined");
+            }
+        });
+        (theme.externalLayers || []).forEach((layer, idx) => {
+            if (layer && typeof layer.name === "string" && !externalNames.includes(layer.name)) {
+                report(file, [...parts, "externalLayers", idx, "name"], "External layer " + JSON.stringify(layer.name) + " is not defined");
+            }
+        });
+        ((theme.themeInfoLinks || {}).entries || []).forEach((name, idx) => {
+            if (!infoLinkNames.includes(name)) {
+                report(file, [...parts, "themeInfoLinks", "entries", idx], "Theme info link " + JSON.stringify(name) + " is not defined");
+            }
+        });
+        checkCrs(theme.mapCrs, [...parts, "mapCrs"]);
+        (theme.additionalMouseCrs || []).forEach((crs, idx) => checkCrs(crs, [...parts, "additionalMouseCrs", idx]));
+        if (!theme.printScales && !themesConfig.defaultPrintScales) {
+            report(file, [...parts, "printScales"], "No printScales and no defaultPrintScales defined, the print scale can be chosen freely", "warning");
+        }
+        if (!theme.scales && !themesConfig.defaultScales) {
+            report(file, [...parts, "scales"], "No scales and no defaultScales defined");
+        }
+    });
+}
+
+function checkConfig(file, pluginNames, projections) {
+    const config = file.data;
+    Object.entries(config.plugins || {}).forEach(([mode, plugins]) => {
+        (Array.isArray(plugins) ? plugins : []).forEach((plugin, idx) => {
+            if (plugin && typeof plugin.name === "string" && pluginNames && !pluginNames.includes(plugin.name + "Plugin")) {
+                report(file, ["plugins", mode, idx, "name"], "Plugin " + JSON.stringify(plugin.name) + " is not registered in pluginsDef.plugins of js/appConfig.js");
+            }
+        });
+    });
+    if (projections && config.urlPositionCrs && !projections.includes(config.urlPositionCrs)) {
+        report(file, ["urlPositionCrs"], "Projection " + config.urlPositionCrs + " is not defined in the projections");
+    }
+}
+
+/** Main **********************************************************************/
+
+function main() {
+    const themesConfigFile = loadJson(path.resolve(process.argv[2] || "themesConfig.json"));
+    const configFile = loadJson(path.resolve(process.argv[3] || "config.json"));
+    const configSchema = loadSchema("config.schema.json");
+    const themesSchema = loadSchema("themesConfig.schema.json");
+    const providerKeys = sourceKeys("js/SearchProviders.js", "export const SearchProviders =");
+    const pluginNames = sourceKeys("js/appConfig.js", "plugins: {");
+    let projections = null;
+    if (configFile) {
+        validateSchema(configFile.data, configSchema, configSchema).forEach(error => report(configFile, error.parts, error.text));
+        projections = [...BUILTIN_PROJECTIONS, ...(Array.isArray(configFile.data.projections) ? configFile.data.projections : []).map(entry => entry && entry.code)];
+        checkConfig(configFile, pluginNames, projections);
+    }
+    if (themesConfigFile) {
+        validateSchema(themesConfigFile.data, themesSchema, themesSchema).forEach(error => report(themesConfigFile, error.parts, error.text));
+        // The theme config entries override the global config.json entries
+        const overrideSchema = {properties: configSchema.properties, definitions: configSchema.definitions};
+        themeEntries(themesConfigFile.data.themes || {}, ["themes"]).forEach(({theme, parts}) => {
+            if (theme && typeOf(theme.config) === "object") {
+                validateSchema(theme.config, overrideSchema, overrideSchema, [...parts, "config"]).forEach(error => report(themesConfigFile, error.parts, error.text));
+            }
+        });
+        checkThemes(themesConfigFile, providerKeys, projections);
+    }
+    messages.forEach(message => {
+        process.stdout.write(message.location + ": " + message.level + ": " + message.text + "\n");
+    });
+    const errorCount = messages.filter(message => message.level === "error").length;
+    process.stdout.write(errorCount + " error(s), " + (messages.length - errorCount) + " warning(s)\n");
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+main();
@@ -8,13 +8,21 @@ const nodeEnv = process.env.NODE_ENV || 'development';
 const isProd = nodeEnv === 'production';
 
 
-let styleReplacements = Object.keys(styleConfig).map(key => ({search: "@" + key + "@", replace: styleConfig[key], flags: "g"}));
+// The style configuration keys are exposed as CSS custom properties, with the
+// configured values as fallback, so that they can be changed at runtime (see js/ColorSchemes.js)
+let styleReplacements = Object.keys(styleConfig).map(key => ({search: "@" + key + "@", replace: "var(--" + key + ", " + styleConfig[key] + ")", flags: "g"}));
 
 const plugins = [
   new webpack.DefinePlugin({
-    'process.env': { NODE_ENV: JSON.stringify(nodeEnv) }
+    'process.env': {
+      NODE_ENV: JSON.stringify(nodeEnv),
+      APP_VERSION: JSON.stringify(require('./package.json').version),
+      BUILD_DATE: JSON.stringify(new Date().toISOString())
+    }
   }),
   new webpack.NormalModuleReplacementPlugin(/openlayers$/, path.join(__dirname, "qwc2", "libs", "openlayers")),
+  // Render the edit forms with the extended Qt Designer form support of js/QtUiForm.jsx
+  new webpack.NormalModuleReplacementPlugin(/QtDesignerForm$/, path.join(__dirname, "js", "QtUiForm.jsx")),
   new webpack.NoEmitOnErrorsPlugin()
 ];
 